@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+/**
+ * Inline svg-core.js into elemental_svg.html
+ *
+ * The editor ships as one file: FileMaker's Update Version flow and the Web Viewer setup
+ * in guide.html only ever fetch or reference elemental_svg.html. svg-core.js is the source
+ * of the processing pipeline (and what Node tools require), and this copies it verbatim
+ * into the page's <script id="svg-core"> block. Run it after every change to svg-core.js.
+ *
+ * Usage:
+ *   node scripts/build-editor.js           — update the inlined copy
+ *   node scripts/build-editor.js --check   — exit 1 if the copy is out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CORE_PATH = path.join(__dirname, '..', 'svg-core.js');
+const EDITOR_PATH = path.join(__dirname, '..', 'elemental_svg.html');
+
+const OPEN_TAG = '<script id="svg-core">\n';
+const CLOSE_TAG = '</script>';
+
+/**
+ * Return the editor markup with the given core source inlined
+ * @param {string} html - elemental_svg.html
+ * @param {string} coreSource - svg-core.js
+ * @returns {string}
+ */
+function inlineCore(html, coreSource) {
+  const start = html.indexOf(OPEN_TAG);
+  if (start === -1) throw new Error(`${OPEN_TAG.trim()} not found in elemental_svg.html`);
+  const end = html.indexOf(CLOSE_TAG, start);
+  if (coreSource.includes(CLOSE_TAG)) throw new Error(`svg-core.js must not contain ${CLOSE_TAG}`);
+  return html.slice(0, start + OPEN_TAG.length) + coreSource + html.slice(end);
+}
+
+function main() {
+  const check = process.argv.includes('--check');
+  const html = fs.readFileSync(EDITOR_PATH, 'utf8');
+  const built = inlineCore(html, fs.readFileSync(CORE_PATH, 'utf8'));
+
+  if (check) {
+    if (built !== html) {
+      console.error('elemental_svg.html is out of date with svg-core.js: run npm run build');
+      process.exit(1);
+    }
+    return;
+  }
+  if (built !== html) fs.writeFileSync(EDITOR_PATH, built, 'utf8');
+  console.log(built === html ? 'elemental_svg.html is up to date' : 'Inlined svg-core.js into elemental_svg.html');
+}
+
+if (require.main === module) main();
+
+module.exports = { inlineCore };
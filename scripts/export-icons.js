@@ -0,0 +1,298 @@
+#!/usr/bin/env node
+
+/**
+ * Headless Export for Elemental SVG
+ *
+ * Runs a folder of SVGs through the editor's export pipeline (transforms,
+ * background, stroke-to-fill, FileMaker compatibility, PNG rendering) from the
+ * command line, for rebuilding icon sets in build scripts.
+ *
+ * SVG output is made in Node by svg-core.js, the processing code the editor itself
+ * runs on Save: icons are loaded, stroke-converted, rendered and processed through
+ * the same functions, so the files written match an in-browser Save with the same
+ * settings. Rendered formats (PNG, WebP, ICO, ICNS, PDF) and Potrace stroke tracing
+ * need a browser, so for those elemental_svg.html is opened in headless Chromium
+ * and driven through initEditor(), loadSVGItems() and saveSVG().
+ *
+ * Prerequisites:
+ *   - npm install (jsdom, and puppeteer for rendered formats and traced strokes)
+ *
+ * Usage:
+ *   node scripts/export-icons.js --input icons/ --output build/export
+ *   node scripts/export-icons.js --input icons/ --output build/export --config editor.json --png
+ *
+ * Options:
+ *   --input DIR     Folder of .svg files to process
+ *   --output DIR    Folder for the processed files (created if missing)
+ *   --config FILE   initEditor()-style JSON config, e.g.
+ *                   { "fill_color": "#333333", "bg_enabled": 1, "bg_edges": 0, "output_size": 256 }
+ *   --png           Also write PNGs (sizes from output_size and output_scales, default 512)
+ *
+ * A config with "output_format" set to "png", "webp", "ico", "icns" or "pdf" writes
+ * that format only ("pdf_layout" picks one file, a file per icon or a contact sheet).
+ *
+ * Output:
+ *   {output}/name.svg — processed SVG per input file
+ *   {output}/name.png — rendered PNG per input file (--png or output_format "png")
+ *   {output}/64x64/name@2x.png — with a list of sizes, one folder per size; @2x/@3x
+ *                   variants sit next to each size when output_scales asks for them
+ *   {output}/name.ico, name.icns, name.webp, name.pdf — with that output_format
+ *   {output}/elemental_svg_export.pdf — output_format "pdf" with several icons on pages
+ *   {output}/elemental_svg_sprite.svg, elemental_svg_sprite.html — with "svg_sprite": 1, a
+ *                   <symbol> sprite of every icon and a page previewing its <use> snippets
+ *
+ * Issues from the export validation report (unsupported elements, failed stroke
+ * conversion, unnormalized paths) are printed per file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const core = require('../svg-core.js');
+
+const EDITOR_PATH = path.join(__dirname, '..', 'elemental_svg.html');
+const { XMLSerializer } = new JSDOM('').window;
+
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const opts = { input: null, output: null, config: null, png: false };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--input' && args[i + 1]) opts.input = args[++i];
+    else if (args[i] === '--output' && args[i + 1]) opts.output = args[++i];
+    else if (args[i] === '--config' && args[i + 1]) opts.config = args[++i];
+    else if (args[i] === '--png') opts.png = true;
+  }
+  return opts;
+}
+
+function loadConfig(configPath) {
+  if (!configPath) return {};
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (e) {
+    console.error(`Could not read config ${configPath}: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Open the editor in headless Chromium with the config applied, for the parts of the
+ * export Node can't do (rendering and Potrace tracing). Puppeteer is loaded only then.
+ * @param {Object} config - initEditor() config
+ * @returns {Promise<{browser: Object, page: Object}>}
+ */
+async function openEditor(config) {
+  let puppeteer;
+  try {
+    puppeteer = require('puppeteer');
+  } catch (e) {
+    throw new Error('Rendered formats and traced strokes need headless Chromium: npm install puppeteer');
+  }
+
+  const browser = await puppeteer.launch();
+  const page = await browser.newPage();
+
+  // The editor checks for updates and sends usage stats on load — keep the run offline
+  await page.setRequestInterception(true);
+  page.on('request', req => {
+    const url = req.url();
+    if (url.startsWith('file:') || url.startsWith('data:') || url.startsWith('blob:')) req.continue();
+    else req.abort();
+  });
+
+  // Load failures are reported with alert(); print them instead of blocking
+  page.on('dialog', async dialog => {
+    console.warn(`  WARNING: ${dialog.message()}`);
+    await dialog.dismiss();
+  });
+
+  await page.goto('file://' + EDITOR_PATH, { waitUntil: 'load' });
+  // FM output mode makes saveSVG() return the Save Icons payload instead of
+  // triggering browser downloads. Auto convert would save a second time on load.
+  await page.evaluate(cfg => window.initEditor(cfg), { ...config, output_mode: 'fm', auto_convert: 0 });
+  return { browser, page };
+}
+
+/**
+ * Export icons as SVG the way the editor's Save does: strokes converted on the raw icons
+ * (geometric outlining, traced in the editor where that isn't possible), then each icon
+ * rendered and processed, or all of them combined into one sprite
+ * @param {Array<{filename: string, text: string}>} sources - Icon markup per file
+ * @param {Object} config - initEditor() config
+ * @param {Function} trace - (svgStrings) => Promise of Potrace results, for icons that need tracing
+ * @returns {Promise<{files: Array<{filename: string, text: string}>, report: Object, skipped: string[]}>}
+ */
+async function exportSVGs(sources, config, trace) {
+  const settings = core.readEditorConfig(config, { ...core.EDITOR_DEFAULTS });
+  const items = [];
+  const skipped = [];
+  for (const source of sources) {
+    const svg = core.parseIconSVG(source.text);
+    if (svg) items.push({ filename: source.filename, svg });
+    else skipped.push(source.filename);
+  }
+
+  // Same order as saveSVGFormat(): geometric outlines first, the rest traced together
+  const conversions = new Map();
+  const toTrace = [];
+  items.forEach((item, index) => {
+    if (!settings.convertStrokesToFills || !core.isStrokeBasedSVG(item.svg)) return;
+    const markup = new XMLSerializer().serializeToString(item.svg);
+    let fallbackReason = null;
+    if (settings.strokeConversionMethod === 'geometric') {
+      const outlined = core.outlineStrokeToFill(markup);
+      if (outlined.success) {
+        conversions.set(index, { svg: outlined.svg, success: true, error: null, method: 'geometric', fallbackReason: null });
+        return;
+      }
+      fallbackReason = outlined.error;
+    }
+    toTrace.push({ index, markup, fallbackReason });
+  });
+  if (toTrace.length > 0) {
+    const traced = await trace(toTrace.map(job => job.markup));
+    toTrace.forEach((job, i) => conversions.set(job.index, {
+      svg: traced[i].svg, success: traced[i].success, error: traced[i].error, method: 'trace', fallbackReason: job.fallbackReason,
+    }));
+  }
+
+  const entries = [];
+  const results = items.map((item, index) => {
+    const entry = core.createValidationEntry(item.filename);
+    const svgString = core.exportIconSVG(item.svg, settings, settings, entry, conversions.get(index));
+    entries.push(entry);
+    return { filename: item.filename, svgString };
+  });
+  const report = core.buildValidationReport(entries);
+
+  if (settings.svgSprite) {
+    const sprite = core.buildSvgSprite(results);
+    return {
+      files: [
+        { filename: core.SPRITE_FILENAME + '.svg', text: sprite.svg },
+        { filename: core.SPRITE_FILENAME + '.html', text: sprite.html },
+      ],
+      report,
+      skipped,
+    };
+  }
+  return { files: results.map(r => ({ filename: r.filename, text: r.svgString })), report, skipped };
+}
+
+async function main() {
+  const opts = parseArgs(process.argv);
+  if (!opts.input || !opts.output) {
+    console.error('Usage: node scripts/export-icons.js --input DIR --output DIR [--config FILE] [--png]');
+    process.exit(1);
+  }
+
+  const inputDir = path.resolve(opts.input);
+  const outputDir = path.resolve(opts.output);
+  if (!fs.existsSync(inputDir)) {
+    console.error(`Input folder not found: ${inputDir}`);
+    process.exit(1);
+  }
+
+  const files = fs.readdirSync(inputDir).filter(f => f.toLowerCase().endsWith('.svg')).sort();
+  if (files.length === 0) {
+    console.error(`No .svg files in ${inputDir}`);
+    process.exit(1);
+  }
+
+  const config = loadConfig(opts.config);
+  const rasterOnly = config.output_format && config.output_format !== 'svg';
+  const formats = rasterOnly ? [config.output_format] : (opts.png ? ['svg', 'png'] : ['svg']);
+
+  // loadSVGItems() decodes FileMaker's base64 with atob(), which reads the bytes as Latin-1
+  const sources = files.map(f => ({
+    filename: f,
+    text: fs.readFileSync(path.join(inputDir, f)).toString('latin1'),
+  }));
+
+  console.log('Elemental SVG Headless Export');
+  console.log('=============================');
+  console.log(`  ${files.length} SVGs from ${inputDir}`);
+
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  let editor = null;
+  const getEditor = async () => editor || (editor = await openEditor(config));
+  try {
+    if (formats.includes('svg')) {
+      const trace = async svgStrings => {
+        const { page } = await getEditor();
+        return page.evaluate(strings => Promise.all(strings.map(s => traceStrokeToFill(s))), svgStrings);
+      };
+      const { files: written, report, skipped } = await exportSVGs(sources, config, trace);
+      skipped.forEach(f => console.warn(`  SKIPPED (invalid SVG): ${f}`));
+      if (written.length === 0) {
+        console.error('No valid SVGs to export.');
+        process.exitCode = 1;
+        return;
+      }
+      for (const file of written) {
+        fs.writeFileSync(path.join(outputDir, file.filename), file.text, 'utf8');
+      }
+      console.log(`  ${written.length} SVG files → ${outputDir}`);
+
+      report.notes.forEach(note => console.warn(`  ${note}`));
+      for (const file of report.files) {
+        file.issues.forEach(issue => console.warn(`  ${file.filename}: ${issue}`));
+      }
+      console.log(report.fmSafe ? '  All files FileMaker-safe' : '  Some files need checking (see above)');
+    }
+
+    const rendered = formats.filter(format => format !== 'svg');
+    if (rendered.length === 0) return;
+
+    const { page } = await getEditor();
+    const loaded = await page.evaluate(json => {
+      window.loadSVGItems(json);
+      return window.getState().svgItems.map(item => item.filename);
+    }, JSON.stringify(sources.map(s => ({ filename: s.filename, base64: Buffer.from(s.text, 'latin1').toString('base64') }))));
+    if (!formats.includes('svg')) {
+      files.filter(f => !loaded.includes(f)).forEach(f => console.warn(`  SKIPPED (invalid SVG): ${f}`));
+    }
+    if (loaded.length === 0) {
+      console.error('No valid SVGs to export.');
+      process.exitCode = 1;
+      return;
+    }
+
+    for (const format of rendered) {
+      const payload = await page.evaluate(fmt => {
+        window.setOutputFormat(fmt);
+        return window.saveSVG();
+      }, format);
+      if (!payload) {
+        console.error(`  ${format.toUpperCase()} export failed`);
+        process.exitCode = 1;
+        continue;
+      }
+
+      // PNG exports with several sizes nest their files per size
+      const { icons, sizes } = JSON.parse(payload);
+      const groups = sizes
+        ? sizes.map(group => ({ dir: path.join(outputDir, `${group.size}x${group.size}`), icons: group.icons }))
+        : [{ dir: outputDir, icons }];
+      for (const group of groups) {
+        fs.mkdirSync(group.dir, { recursive: true });
+        for (const icon of group.icons) {
+          fs.writeFileSync(path.join(group.dir, icon.filename), Buffer.from(icon.base64, 'base64'));
+        }
+        console.log(`  ${group.icons.length} ${format.toUpperCase()} files → ${group.dir}`);
+      }
+    }
+  } finally {
+    if (editor) await editor.browser.close();
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = { exportSVGs, openEditor };
@@ -0,0 +1,4920 @@
+/**
+ * Elemental SVG processing core
+ *
+ * The editor's SVG pipeline with no UI or editor state: CSS resolution, shapes to
+ * paths, transform baking, geometric stroke outlining, rendering with the editor's
+ * settings (colors, transforms, backgrounds), FileMaker compatibility processing
+ * and size optimization. Every function takes its settings as an argument.
+ *
+ * elemental_svg.html carries a verbatim copy as a classic script, which defines the
+ * ElementalSVGCore global, so the editor stays a single file for file:// pages and
+ * FileMaker Web Viewers. After editing this file, run npm run build to update that copy.
+ * In Node it is a CommonJS module that runs on a jsdom window:
+ *
+ *   const core = require('./svg-core.js');          // or: import core from './svg-core.js'
+ *   core.processSVGString(svg, { fillColor: '#333333', fmCompatible: true });
+ *   core.create(window);                           // the same API bound to another DOM
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        const { JSDOM } = require('jsdom');
+        module.exports = factory(new JSDOM('').window);
+        module.exports.create = factory;
+    } else {
+        root.ElementalSVGCore = factory(root);
+    }
+}(typeof self !== 'undefined' ? self : this, function (window) {
+    const { document, DOMParser, XMLSerializer, NodeFilter, Option, CSS } = window;
+
+    // Namespace of xmlns attributes; set through it so every DOM serializes the declaration once
+    const XMLNS_NS = 'http://www.w3.org/2000/xmlns/';
+
+    // ============================================
+    // Polygon Paths
+    // ============================================
+
+    function generatePolygonPath(cx, cy, radius, edges, cornerRadius) {
+        // Calculate vertices evenly spaced, starting at top (-PI/2)
+        const vertices = [];
+        for (let i = 0; i < edges; i++) {
+            const angle = (2 * Math.PI * i / edges) - Math.PI / 2;
+            vertices.push({
+                x: cx + radius * Math.cos(angle),
+                y: cy + radius * Math.sin(angle)
+            });
+        }
+        setCornerRounding(vertices, cornerRadius);
+        return roundedPolygonPath(vertices);
+    }
+
+    /**
+     * Give each vertex the rounding generatePolygonPath has always used: a fraction
+     * of half the shorter adjacent edge
+     * @param {Array} vertices - [{x, y}], updated in place with a round distance
+     * @param {number} cornerRadius - 0 (sharp) to 1
+     */
+    function setCornerRounding(vertices, cornerRadius) {
+        const maxOffset = 0.5; // max fraction of edge length for rounding
+        const n = vertices.length;
+        vertices.forEach((curr, i) => {
+            const prev = vertices[(i - 1 + n) % n];
+            const next = vertices[(i + 1) % n];
+            const lenPrev = Math.hypot(prev.x - curr.x, prev.y - curr.y);
+            const lenNext = Math.hypot(next.x - curr.x, next.y - curr.y);
+            curr.round = Math.min(lenPrev, lenNext) * maxOffset * cornerRadius;
+        });
+    }
+
+    /**
+     * Path data for a closed polygon whose corners are cut back by their round
+     * distance along each edge and joined with a quadratic bezier through the vertex.
+     * A corner never takes more than half an edge shared with another rounded corner.
+     * @param {Array} vertices - [{x, y, round}] - round 0 (or missing) keeps the corner sharp
+     * @returns {string} - Path data
+     */
+    function roundedPolygonPath(vertices) {
+        const n = vertices.length;
+        const pt = p => `${p.x.toFixed(2)} ${p.y.toFixed(2)}`;
+        let d = '';
+        let firstPoint = null;
+        vertices.forEach((curr, i) => {
+            const cmd = i === 0 ? 'M' : ' L';
+            if (!(curr.round > 0)) {
+                d += `${cmd} ${pt(curr)}`;
+                return;
+            }
+            const prev = vertices[(i - 1 + n) % n];
+            const next = vertices[(i + 1) % n];
+
+            // Edge vectors from current vertex
+            const toPrev = { x: prev.x - curr.x, y: prev.y - curr.y };
+            const toNext = { x: next.x - curr.x, y: next.y - curr.y };
+            const lenPrev = Math.sqrt(toPrev.x * toPrev.x + toPrev.y * toPrev.y);
+            const lenNext = Math.sqrt(toNext.x * toNext.x + toNext.y * toNext.y);
+            const offset = Math.min(curr.round,
+                prev.round > 0 ? lenPrev / 2 : lenPrev,
+                next.round > 0 ? lenNext / 2 : lenNext);
+
+            // Points offset from vertex along each edge
+            const p1 = {
+                x: curr.x + (toPrev.x / lenPrev) * offset,
+                y: curr.y + (toPrev.y / lenPrev) * offset
+            };
+            const p2 = {
+                x: curr.x + (toNext.x / lenNext) * offset,
+                y: curr.y + (toNext.y / lenNext) * offset
+            };
+            if (i === 0) firstPoint = p1;
+            d += `${cmd} ${pt(p1)} Q ${pt(curr)} ${pt(p2)}`;
+        });
+        // Close: line back to the first corner's offset point
+        if (firstPoint) d += ` L ${pt(firstPoint)}`;
+        return d + ' Z';
+    }
+
+    // ============================================
+    // Stroke Detection
+    // ============================================
+
+    /**
+     * Check if an SVG element is stroke-based (has strokes with fill="none")
+     * @param {SVGElement} svg - The SVG element to check
+     * @returns {boolean} - True if the SVG is stroke-based
+     */
+    function isStrokeBasedSVG(svg) {
+        // Check root SVG for inherited stroke/fill (common in Heroicons, Tabler, Lucide)
+        const rootStroke = svg.getAttribute('stroke') || getStyleProperty(svg, 'stroke');
+        const rootFill = svg.getAttribute('fill') || getStyleProperty(svg, 'fill');
+        const rootStrokeWidth = svg.getAttribute('stroke-width') || getStyleProperty(svg, 'stroke-width');
+
+        // If root has stroke + fill="none", all children are stroke-based by inheritance
+        if (rootStroke && rootStroke !== 'none' && rootFill === 'none') {
+            return true;
+        }
+
+        // Check all shape elements
+        const shapeElements = svg.querySelectorAll('path, circle, rect, ellipse, line, polyline, polygon');
+
+        for (const el of shapeElements) {
+            const stroke = el.getAttribute('stroke') || getStyleProperty(el, 'stroke') || rootStroke;
+            const fill = el.getAttribute('fill') || getStyleProperty(el, 'fill') || rootFill;
+            const strokeWidth = el.getAttribute('stroke-width') || getStyleProperty(el, 'stroke-width') || rootStrokeWidth;
+
+            // Element has a stroke and either no fill or fill="none"
+            if (stroke && stroke !== 'none') {
+                if (!fill || fill === 'none') {
+                    return true;
+                }
+            }
+
+            // Also check for stroke-width without explicit stroke color (inherits currentColor)
+            if (strokeWidth && parseFloat(strokeWidth) > 0) {
+                if (!fill || fill === 'none') {
+                    return true;
+                }
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Get a CSS property value from an element's style attribute
+     * @param {Element} el - The element
+     * @param {string} property - The CSS property name
+     * @returns {string|null} - The property value or null
+     */
+    function getStyleProperty(el, property) {
+        const style = el.getAttribute('style');
+        if (!style) return null;
+
+        const regex = new RegExp(property + '\\s*:\\s*([^;]+)', 'i');
+        const match = style.match(regex);
+        return match ? match[1].trim() : null;
+    }
+
+    // ============================================
+    // Geometric Stroke Outlining
+    // ============================================
+
+    // Painted content the outliner can't reproduce exactly; icons using these are traced instead
+    const OUTLINE_UNSUPPORTED_ELEMENTS = ['use', 'text', 'image', 'foreignObject', 'svg', 'switch'];
+    const OUTLINE_UNSUPPORTED_PROPERTIES = ['clip-path', 'mask', 'filter', 'marker-start', 'marker-mid', 'marker-end'];
+
+    /**
+     * Convert a stroke-based SVG to filled paths by outlining its geometry.
+     * Every stroke is offset by half its width (honoring stroke-linecap, stroke-linejoin
+     * and stroke-miterlimit) and unioned with the filled shapes into a single path,
+     * so corners and thin details come through exactly. Curved stretches of the
+     * outline are fitted back into cubics rather than left as short lines.
+     * @param {string} svgString - The SVG string to convert
+     * @returns {{svg: string, success: boolean, error: string|null}} - Same shape as traceStrokeToFill
+     */
+    function outlineStrokeToFill(svgString) {
+        try {
+            const parser = new DOMParser();
+            const doc = parser.parseFromString(svgString, 'image/svg+xml');
+            const svg = doc.querySelector('svg');
+
+            if (!svg) {
+                return { svg: svgString, success: false, error: 'Invalid SVG' };
+            }
+            resolveStyleRules(svg);
+
+            const box = getViewBoxRect(svg);
+            const size = Math.max(box.width, box.height);
+            const tolerance = size / 2000;
+
+            const painted = collectPaintedRegions(svg, tolerance);
+            if (painted.error) {
+                return { svg: svgString, success: false, error: painted.error };
+            }
+            const regions = painted.regions;
+
+            if (regions.length === 0) {
+                return { svg: svgString, success: false, error: 'Nothing to outline' };
+            }
+
+            const loops = traceRegionBoundary(regions, inside => regions.some((region, i) => inside(i)), size)
+                .map(loop => simplifyLoop(loop, tolerance / 10))
+                .filter(loop => loop.length >= 3 && Math.abs(loopArea(loop)) > tolerance * tolerance);
+            if (loops.length === 0) {
+                return { svg: svgString, success: false, error: 'Outline is empty' };
+            }
+
+            // About a thousandth of a pixel at the icon's own size
+            const decimals = Math.max(1, 4 - Math.floor(Math.log10(size)));
+            const d = loopsToPathData(loops, decimals, tolerance);
+
+            let outputSvg = `<svg xmlns="http://www.w3.org/2000/svg" width="${box.width}" height="${box.height}" viewBox="${box.x} ${box.y} ${box.width} ${box.height}" version="1.1">\n`;
+            outputSvg += `    <path d="${d}" fill="inherit" stroke="none"/>\n`;
+            outputSvg += `</svg>`;
+
+            return {
+                svg: outputSvg,
+                success: true,
+                error: null
+            };
+        } catch (error) {
+            console.error('Geometric stroke outlining failed:', error);
+            return {
+                svg: svgString,
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * The painted area of an SVG as fill regions in root coordinates: fills keep their
+     * fill-rule, strokes are outlined honoring line caps, joins and miter limits
+     * @param {SVGElement} svg
+     * @param {number} tolerance - Maximum curve flattening error, in root units
+     * @returns {{regions: Array, error: string|null}} - Regions as traceRegionBoundary takes them;
+     *   error names the first feature that can't be expressed as outlines
+     */
+    function collectPaintedRegions(svg, tolerance) {
+        const box = getViewBoxRect(svg);
+
+        for (const el of svg.querySelectorAll('*')) {
+            if (el.closest('defs, clipPath, mask, symbol, marker, pattern')) continue;
+            if (OUTLINE_UNSUPPORTED_ELEMENTS.includes(el.localName)) {
+                return { regions: [], error: `<${el.localName}> can't be outlined` };
+            }
+        }
+
+        const regions = [];
+        const shapes = svg.querySelectorAll('path, rect, circle, ellipse, line, polyline, polygon');
+        for (const el of shapes) {
+            if (el.closest('defs, clipPath, mask, symbol, marker, pattern') || !isShapeRendered(el, svg)) continue;
+
+            for (const property of OUTLINE_UNSUPPORTED_PROPERTIES) {
+                if (hasOwnPresentationValue(el, property, svg)) {
+                    return { regions: [], error: `${property} can't be outlined` };
+                }
+            }
+            const dashes = getPresentationValue(el, 'stroke-dasharray', svg);
+            if (dashes && dashes !== 'none') {
+                return { regions: [], error: 'Dashed strokes can\'t be outlined' };
+            }
+
+            // Work in the shape's own coordinates so strokes scale with their transforms
+            const matrix = getElementMatrix(el, svg);
+            const matrixScale = Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2])) || 1;
+            const localTolerance = tolerance / matrixScale;
+            const subpaths = flattenPathData(shapeToPathData(el), localTolerance);
+            if (subpaths.length === 0) continue;
+            const toRoot = ring => ring.map(p => ({
+                x: matrix[0] * p.x + matrix[2] * p.y + matrix[4],
+                y: matrix[1] * p.x + matrix[3] * p.y + matrix[5]
+            }));
+
+            const fill = getPresentationValue(el, 'fill', svg) || 'black';
+            const fillOpacity = getPresentationValue(el, 'fill-opacity', svg);
+            if (fill !== 'none' && el.localName !== 'line' && parseFloat(fillOpacity !== null ? fillOpacity : 1) > 0) {
+                regions.push({
+                    rings: subpaths.map(subpath => toRoot(subpath.points)),
+                    rule: getPresentationValue(el, 'fill-rule', svg) === 'evenodd' ? 'evenodd' : 'nonzero'
+                });
+            }
+
+            const stroke = getPresentationValue(el, 'stroke', svg) || 'none';
+            const strokeOpacity = getPresentationValue(el, 'stroke-opacity', svg);
+            if (stroke === 'none' || parseFloat(strokeOpacity !== null ? strokeOpacity : 1) <= 0) continue;
+
+            const widthValue = getPresentationValue(el, 'stroke-width', svg) || '1';
+            let width = parseFloat(widthValue);
+            if (widthValue.trim().endsWith('%')) {
+                // Percentages are of the normalized viewport diagonal
+                width = width / 100 * Math.sqrt((box.width * box.width + box.height * box.height) / 2);
+            }
+            if (!(width > 0)) continue;
+
+            const style = {
+                width: width,
+                linecap: getPresentationValue(el, 'stroke-linecap', svg) || 'butt',
+                linejoin: getPresentationValue(el, 'stroke-linejoin', svg) || 'miter',
+                miterlimit: parseFloat(getPresentationValue(el, 'stroke-miterlimit', svg)) || 4
+            };
+            subpaths.forEach(subpath => {
+                const rings = strokeSubpath(subpath, style, localTolerance);
+                if (rings.length > 0) regions.push({ rings: rings.map(toRoot), rule: 'nonzero' });
+            });
+        }
+        return { regions: regions, error: null };
+    }
+
+    /**
+     * Get the viewBox rectangle of an SVG (falls back to width/height, then 512x512)
+     * @param {SVGElement} svg
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    function getViewBoxRect(svg) {
+        const viewBox = svg.getAttribute('viewBox');
+        if (viewBox) {
+            const parts = viewBox.split(/[\s,]+/);
+            if (parts.length >= 4) {
+                return {
+                    x: parseFloat(parts[0]) || 0,
+                    y: parseFloat(parts[1]) || 0,
+                    width: parseFloat(parts[2]) || 512,
+                    height: parseFloat(parts[3]) || 512
+                };
+            }
+        }
+        return {
+            x: 0,
+            y: 0,
+            width: parseFloat(svg.getAttribute('width')) || 512,
+            height: parseFloat(svg.getAttribute('height')) || 512
+        };
+    }
+
+    /**
+     * Look up an inherited presentation property (style wins over attribute, nearest ancestor wins)
+     * @param {Element} el - The element
+     * @param {string} property - The property name
+     * @param {SVGElement} root - The SVG root (last element searched)
+     * @returns {string|null} - The value or null if unset
+     */
+    function getPresentationValue(el, property, root) {
+        for (let node = el; node && node.nodeType === 1; node = node.parentNode) {
+            const value = getStyleProperty(node, property) || node.getAttribute(property);
+            if (value && value.trim() !== 'inherit') return value.replace(/!important/i, '').trim();
+            if (node === root) break;
+        }
+        return null;
+    }
+
+    /**
+     * Check a non-inherited property (clip-path, mask, filter...) on an element and its ancestors
+     */
+    function hasOwnPresentationValue(el, property, root) {
+        for (let node = el; node && node.nodeType === 1; node = node.parentNode) {
+            const value = getStyleProperty(node, property) || node.getAttribute(property);
+            if (value && value.trim() !== 'none') return true;
+            if (node === root) break;
+        }
+        return false;
+    }
+
+    /**
+     * Whether a shape paints at all (display, visibility and opacity)
+     */
+    function isShapeRendered(el, root) {
+        for (let node = el; node && node.nodeType === 1; node = node.parentNode) {
+            if ((getStyleProperty(node, 'display') || node.getAttribute('display')) === 'none') return false;
+            const opacity = getStyleProperty(node, 'opacity') || node.getAttribute('opacity');
+            if (opacity !== null && parseFloat(opacity) <= 0) return false;
+            if (node === root) break;
+        }
+        const visibility = getPresentationValue(el, 'visibility', root);
+        return visibility !== 'hidden' && visibility !== 'collapse';
+    }
+
+    /**
+     * Express a basic shape (or path) as path data
+     * @param {SVGElement} el - path, rect, circle, ellipse, line, polyline or polygon
+     * @returns {string} - Path data ('' when the shape has no geometry)
+     */
+    function shapeToPathData(el) {
+        const num = name => parseFloat(el.getAttribute(name)) || 0;
+        // Sums like 1.44 + 3 come out as 4.4399999999999995 without this
+        const f = formatBakedNumber;
+
+        switch (el.localName) {
+            case 'path':
+                return el.getAttribute('d') || '';
+            case 'rect': {
+                const x = num('x'), y = num('y'), w = num('width'), h = num('height');
+                if (w <= 0 || h <= 0) return '';
+                // A missing rx/ry takes the other's value
+                let rx = parseFloat(el.getAttribute('rx'));
+                let ry = parseFloat(el.getAttribute('ry'));
+                if (isNaN(rx)) rx = ry;
+                if (isNaN(ry)) ry = rx;
+                rx = Math.min(Math.max(rx || 0, 0), w / 2);
+                ry = Math.min(Math.max(ry || 0, 0), h / 2);
+                if (rx === 0 || ry === 0) {
+                    return `M${f(x)} ${f(y)}H${f(x + w)}V${f(y + h)}H${f(x)}Z`;
+                }
+                const arc = `A${f(rx)} ${f(ry)} 0 0 1`;
+                return `M${f(x + rx)} ${f(y)}H${f(x + w - rx)}${arc} ${f(x + w)} ${f(y + ry)}` +
+                    `V${f(y + h - ry)}${arc} ${f(x + w - rx)} ${f(y + h)}` +
+                    `H${f(x + rx)}${arc} ${f(x)} ${f(y + h - ry)}` +
+                    `V${f(y + ry)}${arc} ${f(x + rx)} ${f(y)}Z`;
+            }
+            case 'circle':
+            case 'ellipse': {
+                const cx = num('cx'), cy = num('cy');
+                const rx = el.localName === 'circle' ? num('r') : num('rx');
+                const ry = el.localName === 'circle' ? num('r') : num('ry');
+                if (rx <= 0 || ry <= 0) return '';
+                const arc = `A${f(rx)} ${f(ry)} 0 1 1`;
+                return `M${f(cx + rx)} ${f(cy)}${arc} ${f(cx - rx)} ${f(cy)}${arc} ${f(cx + rx)} ${f(cy)}Z`;
+            }
+            case 'line':
+                return `M${f(num('x1'))} ${f(num('y1'))}L${f(num('x2'))} ${f(num('y2'))}`;
+            case 'polyline':
+            case 'polygon': {
+                const coords = (el.getAttribute('points') || '').trim().split(/[\s,]+/).map(parseFloat);
+                const pairs = [];
+                for (let i = 0; i + 1 < coords.length; i += 2) {
+                    if (isNaN(coords[i]) || isNaN(coords[i + 1])) break;
+                    pairs.push(f(coords[i]) + ' ' + f(coords[i + 1]));
+                }
+                if (pairs.length === 0) return '';
+                return 'M' + pairs.join('L') + (el.localName === 'polygon' ? 'Z' : '');
+            }
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Parse an SVG transform attribute into a matrix [a, b, c, d, e, f]
+     * @param {string} value - e.g. "translate(4 4) rotate(45)"
+     * @returns {number[]}
+     */
+    function parseTransformList(value) {
+        let matrix = [1, 0, 0, 1, 0, 0];
+        const re = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+        let match;
+        while ((match = re.exec(value || '')) !== null) {
+            const args = match[2].trim().split(/[\s,]+/).map(parseFloat);
+            let m;
+            switch (match[1]) {
+                case 'matrix':
+                    m = args.length >= 6 ? args.slice(0, 6) : [1, 0, 0, 1, 0, 0];
+                    break;
+                case 'translate':
+                    m = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+                    break;
+                case 'scale':
+                    m = [args[0], 0, 0, args.length > 1 ? args[1] : args[0], 0, 0];
+                    break;
+                case 'rotate': {
+                    const angle = (args[0] || 0) * Math.PI / 180;
+                    const cos = Math.cos(angle), sin = Math.sin(angle);
+                    const cx = args[1] || 0, cy = args[2] || 0;
+                    m = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+                    break;
+                }
+                case 'skewX':
+                    m = [1, 0, Math.tan((args[0] || 0) * Math.PI / 180), 1, 0, 0];
+                    break;
+                case 'skewY':
+                    m = [1, Math.tan((args[0] || 0) * Math.PI / 180), 0, 1, 0, 0];
+                    break;
+            }
+            matrix = multiplyMatrix(matrix, m);
+        }
+        return matrix;
+    }
+
+    function multiplyMatrix(m1, m2) {
+        return [
+            m1[0] * m2[0] + m1[2] * m2[1],
+            m1[1] * m2[0] + m1[3] * m2[1],
+            m1[0] * m2[2] + m1[2] * m2[3],
+            m1[1] * m2[2] + m1[3] * m2[3],
+            m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+            m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+        ];
+    }
+
+    /**
+     * Combined transform from an element's coordinates to the root SVG's user space
+     */
+    function getElementMatrix(el, root) {
+        let matrix = [1, 0, 0, 1, 0, 0];
+        for (let node = el; node && node !== root && node.nodeType === 1; node = node.parentNode) {
+            const transform = node.getAttribute('transform');
+            if (transform) matrix = multiplyMatrix(parseTransformList(transform), matrix);
+        }
+        return matrix;
+    }
+
+    // ============================================
+    // Path Data Parsing
+    // ============================================
+
+    // Arguments per command in normalized path data
+    const PATH_ARG_COUNTS = { M: 2, L: 2, C: 6, Q: 4, A: 7, Z: 0 };
+
+    /**
+     * Parse path data into absolute segments, one per argument set.
+     * Any command form is accepted (it goes through normalizePath). Parsing stops at an
+     * incomplete argument set, where browsers stop drawing the path.
+     * @param {string} pathData - Path d attribute
+     * @returns {Array} - Segments {cmd, args}: cmd is M, L, C, Q, A or Z, args its numbers
+     */
+    function tokenizePathData(pathData) {
+        const tokens = (normalizePath(pathData) || '').match(/[MLCQAZ]|[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/g) || [];
+        const segments = [];
+        let i = 0;
+        while (i < tokens.length) {
+            const cmd = tokens[i++];
+            const count = PATH_ARG_COUNTS[cmd];
+            if (count === undefined) continue;
+            // Repeated argument sets continue the same command
+            do {
+                const args = tokens.slice(i, i + count).map(parseFloat);
+                if (args.length < count || args.some(isNaN)) return segments;
+                i += count;
+                segments.push({ cmd, args });
+            } while (count > 0 && i < tokens.length && !PATH_ARG_COUNTS.hasOwnProperty(tokens[i]));
+        }
+        return segments;
+    }
+
+    // ============================================
+    // Path Geometry (flattening, stroke outlines, region boundaries)
+    // ============================================
+
+    /**
+     * Flatten path data into polylines.
+     * Curves and arcs are subdivided until they are within `tolerance` of the true curve.
+     * @param {string} pathData - Path d attribute (any command form)
+     * @param {number} tolerance - Maximum deviation from the curve, in user units
+     * @returns {Array} - Subpaths {points: [{x, y}], corners: [boolean], closed: boolean}.
+     *   corners[i] is true where points[i] is a command endpoint rather than a curve sample.
+     */
+    function flattenPathData(pathData, tolerance) {
+        const subpaths = [];
+        let current = null;
+        let x = 0, y = 0, startX = 0, startY = 0;
+
+        function begin(px, py) {
+            current = { points: [{ x: px, y: py }], corners: [true], closed: false };
+            subpaths.push(current);
+        }
+        function add(px, py, corner) {
+            if (!current) begin(x, y);
+            current.points.push({ x: px, y: py });
+            current.corners.push(corner);
+        }
+
+        tokenizePathData(pathData).forEach(({ cmd, args }) => {
+            if (cmd === 'M') {
+                x = startX = args[0];
+                y = startY = args[1];
+                begin(x, y);
+            } else if (cmd === 'L') {
+                x = args[0];
+                y = args[1];
+                add(x, y, true);
+            } else if (cmd === 'C') {
+                const [x1, y1, x2, y2, ex, ey] = args;
+                const dd = Math.max(
+                    Math.hypot(x - 2 * x1 + x2, y - 2 * y1 + y2),
+                    Math.hypot(x1 - 2 * x2 + ex, y1 - 2 * y2 + ey));
+                const n = Math.min(256, Math.max(1, Math.ceil(Math.sqrt(0.75 * dd / tolerance))));
+                for (let s = 1; s < n; s++) {
+                    const t = s / n, mt = 1 - t;
+                    add(mt * mt * mt * x + 3 * mt * mt * t * x1 + 3 * mt * t * t * x2 + t * t * t * ex,
+                        mt * mt * mt * y + 3 * mt * mt * t * y1 + 3 * mt * t * t * y2 + t * t * t * ey, false);
+                }
+                add(ex, ey, true);
+                x = ex;
+                y = ey;
+            } else if (cmd === 'Q') {
+                const [x1, y1, ex, ey] = args;
+                const dd = Math.hypot(x - 2 * x1 + ex, y - 2 * y1 + ey);
+                const n = Math.min(256, Math.max(1, Math.ceil(Math.sqrt(dd / (4 * tolerance)))));
+                for (let s = 1; s < n; s++) {
+                    const t = s / n, mt = 1 - t;
+                    add(mt * mt * x + 2 * mt * t * x1 + t * t * ex, mt * mt * y + 2 * mt * t * y1 + t * t * ey, false);
+                }
+                add(ex, ey, true);
+                x = ex;
+                y = ey;
+            } else if (cmd === 'A') {
+                const [rx, ry, rotation, largeArc, sweep, ex, ey] = args;
+                flattenArc(x, y, rx, ry, rotation, largeArc, sweep, ex, ey, tolerance)
+                    .forEach((p, idx, arr) => add(p.x, p.y, idx === arr.length - 1));
+                x = ex;
+                y = ey;
+            } else if (cmd === 'Z') {
+                if (current) current.closed = true;
+                current = null;
+                x = startX;
+                y = startY;
+            }
+        });
+        return subpaths;
+    }
+
+    /**
+     * Center parameterization of an SVG elliptical arc (SVG implementation notes, F.6.5).
+     * Radii too small to reach the end point are scaled up, as renderers do.
+     * @returns {Object|null} - {cx, cy, rx, ry, cosPhi, sinPhi, theta1, dTheta}, angles in
+     *   radians with dTheta signed by the sweep flag; null when the arc is a straight line
+     *   (a zero radius) or draws nothing (coincident end points)
+     */
+    function arcCenter(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) {
+        rx = Math.abs(rx);
+        ry = Math.abs(ry);
+        if (rx === 0 || ry === 0 || (x1 === x2 && y1 === y2)) return null;
+
+        const phi = rotation * Math.PI / 180;
+        const cosPhi = Math.cos(phi), sinPhi = Math.sin(phi);
+        const dx = (x1 - x2) / 2, dy = (y1 - y2) / 2;
+        const x1p = cosPhi * dx + sinPhi * dy;
+        const y1p = -sinPhi * dx + cosPhi * dy;
+
+        const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+        if (lambda > 1) {
+            rx *= Math.sqrt(lambda);
+            ry *= Math.sqrt(lambda);
+        }
+
+        const num = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+        const den = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+        let coef = den === 0 ? 0 : Math.sqrt(Math.max(0, num / den));
+        if (!!largeArc === !!sweep) coef = -coef;
+        const cxp = coef * rx * y1p / ry;
+        const cyp = -coef * ry * x1p / rx;
+
+        const vecAngle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+        const theta1 = vecAngle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+        let dTheta = vecAngle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+        if (!sweep && dTheta > 0) dTheta -= 2 * Math.PI;
+        else if (sweep && dTheta < 0) dTheta += 2 * Math.PI;
+
+        return {
+            cx: cosPhi * cxp - sinPhi * cyp + (x1 + x2) / 2,
+            cy: sinPhi * cxp + cosPhi * cyp + (y1 + y2) / 2,
+            rx, ry, cosPhi, sinPhi, theta1, dTheta
+        };
+    }
+
+    /**
+     * Point on an arc from arcCenter at angle theta
+     * @returns {{x: number, y: number}}
+     */
+    function arcPoint(arc, theta) {
+        const ex = arc.rx * Math.cos(theta), ey = arc.ry * Math.sin(theta);
+        return { x: arc.cosPhi * ex - arc.sinPhi * ey + arc.cx, y: arc.sinPhi * ex + arc.cosPhi * ey + arc.cy };
+    }
+
+    /**
+     * Sample an SVG elliptical arc (endpoint parameterization, SVG spec F.6.5)
+     * @returns {Array} - Points after the start point, ending exactly at (x2, y2)
+     */
+    function flattenArc(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2, tolerance) {
+        const arc = arcCenter(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2);
+        if (!arc) return [{ x: x2, y: y2 }];
+
+        const n = arcSteps(Math.max(arc.rx, arc.ry), Math.abs(arc.dTheta), tolerance);
+        const points = [];
+        for (let s = 1; s < n; s++) points.push(arcPoint(arc, arc.theta1 + arc.dTheta * s / n));
+        points.push({ x: x2, y: y2 });
+        return points;
+    }
+
+    /**
+     * Split an SVG elliptical arc into cubic Béziers of at most 90° each
+     * @returns {number[][]} - [c1x, c1y, c2x, c2y, x, y] per segment; a zero-radius arc is
+     *   one straight cubic, and coincident end points give none
+     */
+    function arcToCubics(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) {
+        if (x1 === x2 && y1 === y2) return [];
+        const arc = arcCenter(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2);
+        if (!arc) return [[x1, y1, x2, y2, x2, y2]];
+
+        const count = Math.max(1, Math.ceil(Math.abs(arc.dTheta) / (Math.PI / 2) - 1e-9));
+        const step = arc.dTheta / count;
+        const handle = 4 / 3 * Math.tan(step / 4);
+        const tangent = a => [
+            -arc.rx * Math.sin(a) * arc.cosPhi - arc.ry * Math.cos(a) * arc.sinPhi,
+            -arc.rx * Math.sin(a) * arc.sinPhi + arc.ry * Math.cos(a) * arc.cosPhi
+        ];
+
+        const segments = [];
+        for (let i = 0; i < count; i++) {
+            const a0 = arc.theta1 + i * step, a1 = a0 + step;
+            const p0 = arcPoint(arc, a0), t0 = tangent(a0), t1 = tangent(a1);
+            const p1 = i === count - 1 ? { x: x2, y: y2 } : arcPoint(arc, a1);
+            segments.push([p0.x + handle * t0[0], p0.y + handle * t0[1],
+                p1.x - handle * t1[0], p1.y - handle * t1[1], p1.x, p1.y]);
+        }
+        return segments;
+    }
+
+    /**
+     * Number of chords needed to keep an arc of the given radius and sweep within tolerance
+     */
+    function arcSteps(radius, sweepAngle, tolerance) {
+        if (radius <= tolerance) return Math.max(1, Math.ceil(sweepAngle / (Math.PI / 2)));
+        const maxStep = 2 * Math.acos(1 - tolerance / radius);
+        return Math.min(256, Math.max(1, Math.ceil(sweepAngle / maxStep)));
+    }
+
+    /**
+     * Outline the stroke of one polyline as fillable rings.
+     * Open polylines give one ring (both sides plus caps); closed ones give an outer
+     * and an inner ring. Inner corners pivot through the vertex so that the rings'
+     * nonzero winding covers exactly the union of the segment bodies and joins.
+     * @param {Object} subpath - From flattenPathData
+     * @param {Object} style - {width, linecap, linejoin, miterlimit}
+     * @param {number} tolerance - Flattening tolerance for round joins and caps
+     * @returns {Array} - Rings [[{x, y}]]
+     */
+    function strokeSubpath(subpath, style, tolerance) {
+        const h = style.width / 2;
+        const eps = h * 1e-6;
+
+        // Drop repeated points (and the closing point of a closed subpath)
+        const points = [], corners = [];
+        subpath.points.forEach((p, i) => {
+            const last = points[points.length - 1];
+            if (last && Math.hypot(p.x - last.x, p.y - last.y) <= eps) {
+                corners[corners.length - 1] = corners[corners.length - 1] || subpath.corners[i];
+                return;
+            }
+            points.push(p);
+            corners.push(subpath.corners[i]);
+        });
+        let closed = subpath.closed;
+        if (closed && points.length > 1) {
+            const first = points[0], last = points[points.length - 1];
+            if (Math.hypot(first.x - last.x, first.y - last.y) <= eps) {
+                points.pop();
+                corners.pop();
+            }
+        }
+        if (closed && points.length < 2) closed = false;
+
+        // Zero-length subpath: only round and square caps paint anything
+        if (points.length === 1) {
+            const p = points[0];
+            if (style.linecap === 'round') {
+                return [circleRing(p.x, p.y, h, tolerance)];
+            }
+            if (style.linecap === 'square') {
+                return [[
+                    { x: p.x - h, y: p.y - h }, { x: p.x + h, y: p.y - h },
+                    { x: p.x + h, y: p.y + h }, { x: p.x - h, y: p.y + h }
+                ]];
+            }
+            return [];
+        }
+
+        const count = points.length;
+        const segCount = closed ? count : count - 1;
+        const dirs = [];
+        for (let i = 0; i < segCount; i++) {
+            const a = points[i], b = points[(i + 1) % count];
+            const len = Math.hypot(b.x - a.x, b.y - a.y);
+            dirs.push({ x: (b.x - a.x) / len, y: (b.y - a.y) / len });
+        }
+        const normal = d => ({ x: -d.y, y: d.x });
+
+        const left = [], right = [];
+
+        // Add the join at vertex p between directions d1 and d2
+        function join(p, d1, d2, joinType) {
+            const n1 = normal(d1), n2 = normal(d2);
+            const cross = d1.x * d2.y - d1.y * d2.x;
+            const dot = d1.x * d2.x + d1.y * d2.y;
+            if (Math.abs(cross) < 1e-12 && dot > 0) {
+                left.push({ x: p.x + n1.x * h, y: p.y + n1.y * h });
+                right.push({ x: p.x - n1.x * h, y: p.y - n1.y * h });
+                return;
+            }
+            // Turning towards +normal puts the outside of the corner on the -normal side
+            const outer = cross > 0 ? -1 : 1;
+            const outerSide = outer > 0 ? left : right;
+            const innerSide = outer > 0 ? right : left;
+
+            const a = { x: p.x + outer * n1.x * h, y: p.y + outer * n1.y * h };
+            const b = { x: p.x + outer * n2.x * h, y: p.y + outer * n2.y * h };
+            outerSide.push(a);
+            if (joinType === 'round') {
+                arcBetween(p, a, b, h, cross > 0, tolerance).forEach(q => outerSide.push(q));
+            } else if (joinType === 'miter' || joinType === 'miter-clip' || joinType === 'arcs') {
+                const cosHalf = Math.sqrt(Math.max(0, (1 + dot) / 2));
+                if (cosHalf > 1e-9 && 1 / cosHalf <= style.miterlimit) {
+                    const mx = n1.x + n2.x, my = n1.y + n2.y;
+                    const ml = Math.hypot(mx, my);
+                    outerSide.push({
+                        x: p.x + outer * mx / ml * h / cosHalf,
+                        y: p.y + outer * my / ml * h / cosHalf
+                    });
+                }
+            }
+            outerSide.push(b);
+
+            innerSide.push({ x: p.x - outer * n1.x * h, y: p.y - outer * n1.y * h });
+            innerSide.push({ x: p.x, y: p.y });
+            innerSide.push({ x: p.x - outer * n2.x * h, y: p.y - outer * n2.y * h });
+        }
+
+        if (closed) {
+            for (let i = 0; i < count; i++) {
+                const d1 = dirs[(i - 1 + segCount) % segCount], d2 = dirs[i];
+                join(points[i], d1, d2, corners[i] ? style.linejoin : 'round');
+            }
+            return [left, right.reverse()];
+        }
+
+        // Open: start cap, both sides, end cap
+        const d0 = dirs[0], n0 = normal(d0);
+        const p0 = points[0];
+        left.push({ x: p0.x + n0.x * h, y: p0.y + n0.y * h });
+        right.push({ x: p0.x - n0.x * h, y: p0.y - n0.y * h });
+        for (let i = 1; i < count - 1; i++) {
+            join(points[i], dirs[i - 1], dirs[i], corners[i] ? style.linejoin : 'round');
+        }
+        const dn = dirs[segCount - 1], nn = normal(dn);
+        const pn = points[count - 1];
+        left.push({ x: pn.x + nn.x * h, y: pn.y + nn.y * h });
+        right.push({ x: pn.x - nn.x * h, y: pn.y - nn.y * h });
+
+        const ring = left.slice();
+        ring.push(...capPoints(pn, dn, nn, h, style.linecap, tolerance));
+        ring.push(...right.reverse());
+        ring.push(...capPoints(p0, { x: -d0.x, y: -d0.y }, { x: -n0.x, y: -n0.y }, h, style.linecap, tolerance));
+        return [ring];
+    }
+
+    /**
+     * Points between the two sides of a line end (excluding the side points themselves)
+     * @param {Object} p - End point
+     * @param {Object} d - Direction pointing out of the line
+     * @param {Object} n - Normal on the side the ring arrives from
+     */
+    function capPoints(p, d, n, h, linecap, tolerance) {
+        if (linecap === 'square') {
+            return [
+                { x: p.x + n.x * h + d.x * h, y: p.y + n.y * h + d.y * h },
+                { x: p.x - n.x * h + d.x * h, y: p.y - n.y * h + d.y * h }
+            ];
+        }
+        if (linecap === 'round') {
+            const from = { x: p.x + n.x * h, y: p.y + n.y * h };
+            const to = { x: p.x - n.x * h, y: p.y - n.y * h };
+            // Half turn through the tip of the cap
+            const positive = (n.x * d.y - n.y * d.x) > 0;
+            return arcBetween(p, from, to, h, positive, tolerance, Math.PI);
+        }
+        return [];
+    }
+
+    /**
+     * Intermediate points on a circular arc around center c from a to b
+     * @param {boolean} positive - Sweep in the direction of increasing angle
+     * @param {number} [sweepOverride] - Exact sweep (for half turns where a and b are opposite)
+     */
+    function arcBetween(c, a, b, radius, positive, tolerance, sweepOverride) {
+        const start = Math.atan2(a.y - c.y, a.x - c.x);
+        let sweep;
+        if (sweepOverride !== undefined) {
+            sweep = positive ? sweepOverride : -sweepOverride;
+        } else {
+            sweep = Math.atan2(b.y - c.y, b.x - c.x) - start;
+            if (positive && sweep < 0) sweep += 2 * Math.PI;
+            if (!positive && sweep > 0) sweep -= 2 * Math.PI;
+        }
+        const n = arcSteps(radius, Math.abs(sweep), tolerance);
+        const points = [];
+        for (let s = 1; s < n; s++) {
+            const t = start + sweep * s / n;
+            points.push({ x: c.x + radius * Math.cos(t), y: c.y + radius * Math.sin(t) });
+        }
+        return points;
+    }
+
+    function circleRing(cx, cy, r, tolerance) {
+        const n = Math.max(8, arcSteps(r, 2 * Math.PI, tolerance));
+        const ring = [];
+        for (let s = 0; s < n; s++) {
+            const t = 2 * Math.PI * s / n;
+            ring.push({ x: cx + r * Math.cos(t), y: cy + r * Math.sin(t) });
+        }
+        return ring;
+    }
+
+    /**
+     * Winding number of a point against a set of rings
+     * @param {Array} rings - Rings, optionally indexed by indexRing()
+     */
+    function windingNumber(rings, px, py) {
+        let wn = 0;
+        for (const ring of rings) {
+            const len = ring.length;
+            let candidates = null;
+            if (ring.bands) {
+                const box = ring.bounds;
+                if (py < box.minY || py > box.maxY || px > box.maxX) continue;
+                candidates = ring.bands[Math.min(ring.bands.length - 1, Math.floor((py - box.minY) / ring.bandHeight))];
+            }
+            const total = candidates ? candidates.length : len;
+            for (let k = 0; k < total; k++) {
+                const i = candidates ? candidates[k] : k;
+                const a = ring[i], b = ring[(i + 1) % len];
+                if (a.y <= py) {
+                    if (b.y > py && (b.x - a.x) * (py - a.y) - (px - a.x) * (b.y - a.y) > 0) wn++;
+                } else if (b.y <= py && (b.x - a.x) * (py - a.y) - (px - a.x) * (b.y - a.y) < 0) {
+                    wn--;
+                }
+            }
+        }
+        return wn;
+    }
+
+    function ringBounds(ring) {
+        const box = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        ring.forEach(p => {
+            box.minX = Math.min(box.minX, p.x);
+            box.minY = Math.min(box.minY, p.y);
+            box.maxX = Math.max(box.maxX, p.x);
+            box.maxY = Math.max(box.maxY, p.y);
+        });
+        return box;
+    }
+
+    /**
+     * Bucket a ring's edges into horizontal bands so winding tests
+     * only visit edges that can cross the test point's scanline
+     */
+    function indexRing(ring) {
+        const box = ringBounds(ring);
+        const count = Math.max(1, Math.min(64, Math.ceil(ring.length / 8)));
+        const bandHeight = (box.maxY - box.minY) / count || 1;
+        const bands = Array.from({ length: count }, () => []);
+        const band = y => Math.min(count - 1, Math.max(0, Math.floor((y - box.minY) / bandHeight)));
+        for (let i = 0, len = ring.length; i < len; i++) {
+            const a = ring[i], b = ring[(i + 1) % len];
+            for (let k = band(Math.min(a.y, b.y)), last = band(Math.max(a.y, b.y)); k <= last; k++) {
+                bands[k].push(i);
+            }
+        }
+        ring.bounds = box;
+        ring.bands = bands;
+        ring.bandHeight = bandHeight;
+    }
+
+    function regionContains(region, px, py) {
+        const box = region.bounds;
+        if (box && (px < box.minX || px > box.maxX || py < box.minY || py > box.maxY)) return false;
+        const wn = windingNumber(region.rings, px, py);
+        return region.rule === 'evenodd' ? (wn % 2 !== 0) : wn !== 0;
+    }
+
+    /**
+     * Trace the boundary of a boolean combination of regions.
+     * Every ring edge is split where it crosses any other edge; a fragment is part
+     * of the result boundary when the combined inside test differs on its two sides.
+     * @param {Array} regions - Each {rings: [[{x, y}]], rule: 'nonzero'|'evenodd'}
+     * @param {Function} combine - (index => boolean) => boolean; decides if a point is
+     *   in the result given a lookup of whether it is inside regions[index]
+     * @param {number} scale - Size of the drawing (used for numeric tolerances)
+     * @returns {Array} - Closed loops [[{x, y}]], filled side consistently on the right
+     */
+    function traceRegionBoundary(regions, combine, scale) {
+        const eps = scale * 1e-9;
+        const probe = scale * 1e-6;
+
+        // Collect edges, caching bounds for the inside tests
+        const edges = [];
+        regions.forEach(region => {
+            region.rings.forEach(ring => {
+                indexRing(ring);
+                for (let i = 0, len = ring.length; i < len; i++) {
+                    const a = ring[i], b = ring[(i + 1) % len];
+                    if (Math.abs(a.x - b.x) <= eps && Math.abs(a.y - b.y) <= eps) continue;
+                    edges.push({
+                        a: a, b: b,
+                        minX: Math.min(a.x, b.x), maxX: Math.max(a.x, b.x),
+                        minY: Math.min(a.y, b.y), maxY: Math.max(a.y, b.y),
+                        splits: []
+                    });
+                }
+            });
+        });
+
+        regions.forEach(region => {
+            region.bounds = ringBounds([].concat(...region.rings));
+        });
+
+        // Find crossings (sweep over x to skip far-apart pairs)
+        const order = edges.slice().sort((e1, e2) => e1.minX - e2.minX);
+        for (let i = 0; i < order.length; i++) {
+            const e1 = order[i];
+            for (let j = i + 1; j < order.length; j++) {
+                const e2 = order[j];
+                if (e2.minX > e1.maxX + eps) break;
+                if (e2.minY > e1.maxY + eps || e2.maxY < e1.minY - eps) continue;
+                intersectEdges(e1, e2, eps);
+            }
+        }
+
+        // Split into fragments and keep the ones on the result boundary
+        const kept = [];
+        const inside = (px, py) => combine(index => regionContains(regions[index], px, py));
+        edges.forEach(edge => {
+            const ts = [0, 1];
+            edge.splits.forEach(s => ts.push(s.t));
+            ts.sort((t1, t2) => t1 - t2);
+            const pointAt = t => {
+                if (t === 0) return edge.a;
+                if (t === 1) return edge.b;
+                const split = edge.splits.find(s => s.t === t);
+                return split.point;
+            };
+            for (let k = 0; k < ts.length - 1; k++) {
+                if (ts[k + 1] - ts[k] < 1e-12) continue;
+                const a = pointAt(ts[k]), b = pointAt(ts[k + 1]);
+                const len = Math.hypot(b.x - a.x, b.y - a.y);
+                if (len <= eps) continue;
+                const mx = (a.x + b.x) / 2, my = (a.y + b.y) / 2;
+                const nx = -(b.y - a.y) / len * probe, ny = (b.x - a.x) / len * probe;
+                const inLeft = inside(mx + nx, my + ny);
+                const inRight = inside(mx - nx, my - ny);
+                if (inLeft === inRight) continue;
+                kept.push(inRight ? { a: a, b: b } : { a: b, b: a });
+            }
+        });
+
+        return chainFragments(kept, scale * 1e-7);
+    }
+
+    /**
+     * Record where two edges cross (or overlap) on both of them
+     */
+    function intersectEdges(e1, e2, eps) {
+        const rx = e1.b.x - e1.a.x, ry = e1.b.y - e1.a.y;
+        const sx = e2.b.x - e2.a.x, sy = e2.b.y - e2.a.y;
+        const denom = rx * sy - ry * sx;
+        const qpx = e2.a.x - e1.a.x, qpy = e2.a.y - e1.a.y;
+        const len1 = Math.hypot(rx, ry), len2 = Math.hypot(sx, sy);
+
+        if (Math.abs(denom) <= eps * (len1 + len2)) {
+            // Parallel: only collinear overlaps matter
+            if (Math.abs(qpx * ry - qpy * rx) / len1 > eps) return;
+            const project = (p, e, dx, dy, len) => ((p.x - e.a.x) * dx + (p.y - e.a.y) * dy) / (len * len);
+            [e2.a, e2.b].forEach(p => {
+                const t = project(p, e1, rx, ry, len1);
+                if (t > 1e-9 && t < 1 - 1e-9) e1.splits.push({ t: t, point: p });
+            });
+            [e1.a, e1.b].forEach(p => {
+                const t = project(p, e2, sx, sy, len2);
+                if (t > 1e-9 && t < 1 - 1e-9) e2.splits.push({ t: t, point: p });
+            });
+            return;
+        }
+
+        const t = (qpx * sy - qpy * sx) / denom;
+        const u = (qpx * ry - qpy * rx) / denom;
+        if (t < -1e-9 || t > 1 + 1e-9 || u < -1e-9 || u > 1 + 1e-9) return;
+
+        const inner1 = t > 1e-9 && t < 1 - 1e-9;
+        const inner2 = u > 1e-9 && u < 1 - 1e-9;
+        if (!inner1 && !inner2) return;
+
+        // Reuse an existing endpoint when the crossing lands on one, so fragments meet exactly
+        let point;
+        if (!inner1) point = t <= 1e-9 ? e1.a : e1.b;
+        else if (!inner2) point = u <= 1e-9 ? e2.a : e2.b;
+        else point = { x: e1.a.x + t * rx, y: e1.a.y + t * ry };
+
+        if (inner1) e1.splits.push({ t: t, point: point });
+        if (inner2) e2.splits.push({ t: u, point: point });
+    }
+
+    /**
+     * Join directed boundary fragments end to start into closed loops
+     */
+    function chainFragments(fragments, snap) {
+        const key = p => Math.round(p.x / snap) + ',' + Math.round(p.y / snap);
+
+        // Coincident edges produce the same fragment more than once
+        const seen = new Set();
+        let unique = fragments.filter(f => {
+            const k = key(f.a) + '>' + key(f.b);
+            if (seen.has(k)) return false;
+            seen.add(k);
+            return true;
+        });
+
+        // Near-collinear edges can leave short spurs that lead nowhere; every real
+        // boundary fragment has a fragment ending where it starts and one starting where it ends
+        for (let pruned = true; pruned;) {
+            const starts = new Set(unique.map(f => key(f.a)));
+            const ends = new Set(unique.map(f => key(f.b)));
+            const kept = unique.filter(f => ends.has(key(f.a)) && starts.has(key(f.b)));
+            pruned = kept.length < unique.length;
+            unique = kept;
+        }
+
+        const byStart = new Map();
+        unique.forEach((f, i) => {
+            const k = key(f.a);
+            if (!byStart.has(k)) byStart.set(k, []);
+            byStart.get(k).push(i);
+        });
+
+        const used = new Array(unique.length).fill(false);
+        const loops = [];
+        for (let i = 0; i < unique.length; i++) {
+            if (used[i]) continue;
+            const loop = [];
+            const startKey = key(unique[i].a);
+            let current = i;
+            while (current !== -1) {
+                used[current] = true;
+                const f = unique[current];
+                loop.push(f.a);
+                const endKey = key(f.b);
+                if (endKey === startKey) break;
+                const candidates = byStart.get(endKey) || [];
+                current = -1;
+                for (const c of candidates) {
+                    if (!used[c]) { current = c; break; }
+                }
+            }
+            if (loop.length >= 3) loops.push(loop);
+        }
+        return loops;
+    }
+
+    /**
+     * Remove points that lie on a straight line between their neighbours
+     */
+    function simplifyLoop(loop, tolerance) {
+        let points = loop;
+        let changed = true;
+        while (changed && points.length > 3) {
+            changed = false;
+            const out = [];
+            for (let i = 0; i < points.length; i++) {
+                const prev = out.length ? out[out.length - 1] : points[points.length - 1];
+                const p = points[i], next = points[(i + 1) % points.length];
+                const base = Math.hypot(next.x - prev.x, next.y - prev.y);
+                const area2 = Math.abs((p.x - prev.x) * (next.y - prev.y) - (p.y - prev.y) * (next.x - prev.x));
+                if (base > 0 && area2 / base < tolerance && points.length - (i - out.length) > 3) {
+                    changed = true;
+                    continue;
+                }
+                out.push(p);
+            }
+            points = out;
+        }
+        return points;
+    }
+
+    function loopArea(loop) {
+        let area = 0;
+        for (let i = 0; i < loop.length; i++) {
+            const a = loop[i], b = loop[(i + 1) % loop.length];
+            area += a.x * b.y - b.x * a.y;
+        }
+        return area / 2;
+    }
+
+    const CURVE_CORNER_ANGLE = Math.PI / 4;    // Sharper turns stay corners when fitting curves
+    const CURVE_LINE_LENGTH = 250;              // Edges this many tolerances long are taken as straight lines
+
+    /**
+     * Redraw a closed polyline as lines and cubic Béziers. The stretches between sharp
+     * turns and long edges are fitted with cubics (Schneider's method) to within the
+     * tolerance; cubics that bend by less than it become lines again. Where a curve
+     * meets a line without a corner it leaves along the line, so round caps and joins
+     * stay smooth.
+     * @param {Array} loop - Closed ring [{x, y}]
+     * @param {number} tolerance - The tolerance the loop was flattened with
+     * @returns {{start: Object, segments: Array}} - Segments {to} for lines or {c1, c2, to}
+     *   for curves, from start around the loop back to it
+     */
+    function fitLoopCurves(loop, tolerance) {
+        const n = loop.length;
+        const at = i => loop[((i % n) + n) % n];
+        const unit = (a, b) => {
+            const len = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+            return { x: (b.x - a.x) / len, y: (b.y - a.y) / len };
+        };
+        const edgeLength = i => Math.hypot(at(i + 1).x - at(i).x, at(i + 1).y - at(i).y);
+        const edgeDir = i => unit(at(i), at(i + 1));
+        const isLine = i => edgeLength(i) > tolerance * CURVE_LINE_LENGTH;
+        const isCorner = i => {
+            const a = edgeDir(i - 1), b = edgeDir(i);
+            return Math.atan2(Math.abs(a.x * b.y - a.y * b.x), a.x * b.x + a.y * b.y) > CURVE_CORNER_ANGLE;
+        };
+        // Direction through a vertex: along a much longer neighbouring edge (a line
+        // running into an arc), otherwise across its two neighbours
+        const tangentAt = i => {
+            const before = edgeLength(i - 1), after = edgeLength(i);
+            if (after > before * 4) return edgeDir(i);
+            if (before > after * 4) return edgeDir(i - 1);
+            return unit(at(i - 1), at(i + 1));
+        };
+        const reverse = v => ({ x: -v.x, y: -v.y });
+
+        const breaks = [];
+        for (let i = 0; i < n; i++) {
+            if (isCorner(i) || isLine(i - 1) || isLine(i)) breaks.push(i);
+        }
+
+        const segments = [];
+        let start;
+        if (breaks.length === 0) {
+            // One smooth closed curve; begin where a line runs into it, if anywhere
+            let first = 0;
+            for (let i = 1; i < n; i++) {
+                if (edgeLength(i) > edgeLength(first)) first = i;
+            }
+            const points = [];
+            for (let i = first; i <= first + n; i++) points.push(at(i));
+            const tangent = tangentAt(first);
+            fitCubicRun(points, tangent, reverse(tangent), tolerance, segments);
+            start = at(first);
+        } else {
+            breaks.forEach((from, k) => {
+                const to = k + 1 < breaks.length ? breaks[k + 1] : breaks[0] + n;
+                if (to - from === 1) {
+                    segments.push({ to: at(to) });
+                    return;
+                }
+                const points = [];
+                for (let i = from; i <= to; i++) points.push(at(i));
+                const startTangent = isCorner(from) ? edgeDir(from) : tangentAt(from);
+                const endTangent = isCorner(to) ? edgeDir(to - 1) : tangentAt(to);
+                fitCubicRun(points, startTangent, reverse(endTangent), tolerance, segments);
+            });
+            start = at(breaks[0]);
+        }
+
+        let from = start;
+        segments.forEach(seg => {
+            if (seg.c1) {
+                const dx = seg.to.x - from.x, dy = seg.to.y - from.y;
+                const len = Math.hypot(dx, dy);
+                const offLine = p => Math.abs((p.x - from.x) * dy - (p.y - from.y) * dx) / len;
+                if (len > 0 && offLine(seg.c1) <= tolerance && offLine(seg.c2) <= tolerance) {
+                    delete seg.c1;
+                    delete seg.c2;
+                }
+            }
+            from = seg.to;
+        });
+        return { start: start, segments: segments };
+    }
+
+    /**
+     * Fit cubics through a run of points, splitting it where one cubic can't stay within
+     * the tolerance (Schneider, "An Algorithm for Automatically Fitting Digitized Curves")
+     * @param {Array} points - At least two [{x, y}]
+     * @param {Object} startTangent - Unit direction leaving the first point
+     * @param {Object} endTangent - Unit direction leaving the last point backwards
+     * @param {number} tolerance
+     * @param {Array} segments - Receives {c1, c2, to} for each cubic
+     */
+    function fitCubicRun(points, startTangent, endTangent, tolerance, segments) {
+        const first = points[0], last = points[points.length - 1];
+        const chord = Math.hypot(last.x - first.x, last.y - first.y);
+        const bezierAt = (c, u) => {
+            const v = 1 - u;
+            const b0 = v * v * v, b1 = 3 * u * v * v, b2 = 3 * u * u * v, b3 = u * u * u;
+            return {
+                x: b0 * c[0].x + b1 * c[1].x + b2 * c[2].x + b3 * c[3].x,
+                y: b0 * c[0].y + b1 * c[1].y + b2 * c[2].y + b3 * c[3].y
+            };
+        };
+        const withHandles = (alpha1, alpha2) => [
+            first,
+            { x: first.x + startTangent.x * alpha1, y: first.y + startTangent.y * alpha1 },
+            { x: last.x + endTangent.x * alpha2, y: last.y + endTangent.y * alpha2 },
+            last
+        ];
+
+        if (points.length === 2) {
+            // Bend along the tangents only as far as the tolerance allows
+            const sin1 = Math.abs(startTangent.x * (last.y - first.y) - startTangent.y * (last.x - first.x)) / (chord || 1);
+            const sin2 = Math.abs(endTangent.x * (last.y - first.y) - endTangent.y * (last.x - first.x)) / (chord || 1);
+            if (chord / 3 * Math.max(sin1, sin2) * 0.75 > tolerance) {
+                segments.push({ to: last });
+            } else {
+                const c = withHandles(chord / 3, chord / 3);
+                segments.push({ c1: c[1], c2: c[2], to: last });
+            }
+            return;
+        }
+
+        // Least-squares handle lengths along the fixed end tangents
+        const fit = params => {
+            let c00 = 0, c01 = 0, c11 = 0, x0 = 0, x1 = 0;
+            points.forEach((p, i) => {
+                const u = params[i], v = 1 - u;
+                const a1 = 3 * u * v * v, a2 = 3 * u * u * v;
+                const base = v * v * v + a1, tip = a2 + u * u * u;
+                const rx = p.x - (first.x * base + last.x * tip);
+                const ry = p.y - (first.y * base + last.y * tip);
+                const dot = startTangent.x * endTangent.x + startTangent.y * endTangent.y;
+                c00 += a1 * a1;
+                c01 += a1 * a2 * dot;
+                c11 += a2 * a2;
+                x0 += a1 * (startTangent.x * rx + startTangent.y * ry);
+                x1 += a2 * (endTangent.x * rx + endTangent.y * ry);
+            });
+            const det = c00 * c11 - c01 * c01;
+            let alpha1 = det ? (x0 * c11 - x1 * c01) / det : 0;
+            let alpha2 = det ? (c00 * x1 - c01 * x0) / det : 0;
+            // Tiny or runaway handles mean the points don't pin the curve down
+            if (!(alpha1 > chord * 1e-6 && alpha2 > chord * 1e-6 && alpha1 < chord * 2 && alpha2 < chord * 2)) {
+                alpha1 = alpha2 = chord / 3;
+            }
+            return withHandles(alpha1, alpha2);
+        };
+        // Squared distance from the points; between two points the curve may stray from
+        // their edge by up to twice the tolerance (their chord sags by one), which
+        // catches curves that bulge or loop away between samples
+        const worst = (c, params) => {
+            let error = 0, index = Math.floor(points.length / 2);
+            for (let i = 1; i < points.length; i++) {
+                const q = bezierAt(c, params[i]);
+                const d = (q.x - points[i].x) ** 2 + (q.y - points[i].y) ** 2;
+                if (d > error && i < points.length - 1) { error = d; index = i; }
+
+                const a = points[i - 1], b = points[i];
+                const dx = b.x - a.x, dy = b.y - a.y;
+                for (let k = 1; k < 4; k++) {
+                    const m = bezierAt(c, params[i - 1] + (params[i] - params[i - 1]) * k / 4);
+                    const t = Math.min(1, Math.max(0, ((m.x - a.x) * dx + (m.y - a.y) * dy) / (dx * dx + dy * dy || 1)));
+                    const e = ((a.x + t * dx - m.x) ** 2 + (a.y + t * dy - m.y) ** 2) / 4;
+                    if (e > error) {
+                        error = e;
+                        index = Math.min(points.length - 2, Math.max(1, i));
+                    }
+                }
+            }
+            return { error: error, index: index };
+        };
+        // Newton-Raphson step towards each point's closest parameter
+        const refine = (c, params) => params.map((u, i) => {
+            const v = 1 - u, p = points[i];
+            const q = bezierAt(c, u);
+            const d1 = {
+                x: 3 * (v * v * (c[1].x - c[0].x) + 2 * u * v * (c[2].x - c[1].x) + u * u * (c[3].x - c[2].x)),
+                y: 3 * (v * v * (c[1].y - c[0].y) + 2 * u * v * (c[2].y - c[1].y) + u * u * (c[3].y - c[2].y))
+            };
+            const d2 = {
+                x: 6 * (v * (c[2].x - 2 * c[1].x + c[0].x) + u * (c[3].x - 2 * c[2].x + c[1].x)),
+                y: 6 * (v * (c[2].y - 2 * c[1].y + c[0].y) + u * (c[3].y - 2 * c[2].y + c[1].y))
+            };
+            const numerator = (q.x - p.x) * d1.x + (q.y - p.y) * d1.y;
+            const denominator = d1.x * d1.x + d1.y * d1.y + (q.x - p.x) * d2.x + (q.y - p.y) * d2.y;
+            return denominator ? Math.min(1, Math.max(0, u - numerator / denominator)) : u;
+        });
+
+        let params = [0];
+        for (let i = 1; i < points.length; i++) {
+            params.push(params[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y));
+        }
+        const total = params[params.length - 1] || 1;
+        params = params.map(t => t / total);
+
+        let curve = fit(params);
+        let result = worst(curve, params);
+        const limit = tolerance * tolerance;
+        for (let iteration = 0; iteration < 20 && result.error >= limit; iteration++) {
+            params = refine(curve, params);
+            curve = fit(params);
+            result = worst(curve, params);
+        }
+        if (result.error < limit) {
+            segments.push({ c1: curve[1], c2: curve[2], to: last });
+            return;
+        }
+
+        const split = result.index;
+        const center = {
+            x: points[split - 1].x - points[split + 1].x,
+            y: points[split - 1].y - points[split + 1].y
+        };
+        const len = Math.hypot(center.x, center.y) || 1;
+        center.x /= len;
+        center.y /= len;
+        fitCubicRun(points.slice(0, split + 1), startTangent, center, tolerance, segments);
+        fitCubicRun(points.slice(split), { x: -center.x, y: -center.y }, endTangent, tolerance, segments);
+    }
+
+    /**
+     * Path data for a set of closed loops
+     * @param {number} decimals - Coordinate precision
+     * @param {number} [tolerance] - Flattening tolerance of the loops; when given, curved
+     *   stretches are fitted back into cubics (see fitLoopCurves) instead of kept as lines
+     */
+    function loopsToPathData(loops, decimals, tolerance) {
+        const fmt = v => {
+            const s = v.toFixed(decimals).replace(/\.?0+$/, '');
+            return s === '-0' ? '0' : s;
+        };
+        const pt = p => fmt(p.x) + ' ' + fmt(p.y);
+        return loops.map(loop => {
+            if (tolerance === undefined) return 'M' + loop.map(pt).join('L') + 'Z';
+
+            const fitted = fitLoopCurves(loop, tolerance);
+            const segments = fitted.segments.slice();
+            // Z draws the closing line itself
+            if (segments.length > 1 && !segments[segments.length - 1].c1) segments.pop();
+            return 'M' + pt(fitted.start) + segments.map(seg =>
+                seg.c1 ? 'C' + [seg.c1, seg.c2, seg.to].map(pt).join(' ') : 'L' + pt(seg.to)
+            ).join('') + 'Z';
+        }).join('');
+    }
+
+    const offsetShapeCache = new Map();     // offsetShapePath arguments -> path data
+
+    /**
+     * Grow (distance > 0) or shrink (distance < 0) a filled shape by a distance,
+     * measured square to its edge, with round corners where it grows. With band set,
+     * keep only the strip of that width inside the edge instead.
+     * @param {string} pathData - Closed shape, nonzero fill
+     * @param {number} distance - In user units
+     * @param {number} scale - Size of the drawing (sets the flattening tolerance)
+     * @param {boolean} band - Return the inner strip rather than the offset shape
+     * @returns {string} - Path data ('' when nothing is left)
+     */
+    function offsetShapePath(pathData, distance, scale, band = false) {
+        const key = [pathData, distance, scale, band].join('|');
+        if (offsetShapeCache.has(key)) return offsetShapeCache.get(key);
+
+        const tolerance = scale / 2000;
+        const subpaths = flattenPathData(pathData, tolerance);
+        const style = { width: Math.abs(distance) * 2, linecap: 'round', linejoin: 'round', miterlimit: 4 };
+        const edgeRings = [];
+        subpaths.forEach(subpath => {
+            subpath.closed = true;
+            strokeSubpath(subpath, style, tolerance).forEach(ring => edgeRings.push(ring));
+        });
+        const regions = [
+            { rings: subpaths.map(subpath => subpath.points), rule: 'nonzero' },
+            { rings: edgeRings, rule: 'nonzero' }
+        ];
+        const combine = band ? inside => inside(0) && inside(1)
+            : distance > 0 ? inside => inside(0) || inside(1)
+                : inside => inside(0) && !inside(1);
+        const loops = distance === 0 ? [] : traceRegionBoundary(regions, combine, scale)
+            .map(loop => simplifyLoop(loop, tolerance / 10))
+            .filter(loop => loop.length >= 3 && Math.abs(loopArea(loop)) > tolerance * tolerance);
+        const decimals = Math.max(1, 4 - Math.floor(Math.log10(scale)));
+        const d = distance === 0 && !band ? pathData : loopsToPathData(loops, decimals, tolerance);
+
+        if (offsetShapeCache.size > 200) offsetShapeCache.clear();
+        offsetShapeCache.set(key, d);
+        return d;
+    }
+
+    // ============================================
+    // FileMaker Compatibility Processing
+    // ============================================
+
+    /**
+     * Normalize SVG path commands to absolute coordinates
+     * This ensures compatibility with FileMaker's SVG renderer
+     */
+    function normalizePath(pathData) {
+        if (!pathData) return pathData;
+
+        // Pre-process arc commands to fix flag notation
+        // Arc flags (large-arc and sweep) are 0 or 1 and can be written without separators
+        // e.g., "a15.92 15.92 0 01-11.31-4.69" should parse flags as 0 and 1
+        function preprocessArcs(d) {
+            // Match arc commands and their arguments
+            return d.replace(/([Aa])\s*((?:[^MmLlHhVvCcSsQqTtAaZz])+)/g, (match, cmd, args) => {
+                // Process each set of 7 arc arguments
+                // We need to fix cases where flags run together: "01" -> "0 1", "00" -> "0 0", etc.
+                // Also cases like "01-5" -> "0 1 -5" or "10.5" after flags
+                let result = cmd;
+                let remaining = args.trim();
+
+                // Parse arc arguments - we expect sets of 7: rx ry rotation large-arc sweep x y
+                const numRe = /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/g;
+                let nums = [];
+                let m;
+
+                // First, extract all number-like tokens
+                while ((m = numRe.exec(remaining)) !== null) {
+                    nums.push(m[0]);
+                }
+
+                // Now process in groups, fixing flag notation
+                let processed = [];
+                let i = 0;
+                while (i < nums.length) {
+                    // rx
+                    if (i < nums.length) processed.push(nums[i++]);
+                    // ry
+                    if (i < nums.length) processed.push(nums[i++]);
+                    // rotation
+                    if (i < nums.length) processed.push(nums[i++]);
+
+                    // large-arc-flag and sweep-flag - these must be 0 or 1
+                    // They might be combined like "01" or "10" or followed directly by coordinates
+                    if (i < nums.length) {
+                        let flagStr = nums[i++];
+                        // Check if this contains both flags
+                        if (flagStr.length >= 2 && /^[01][01]/.test(flagStr)) {
+                            // Two flags combined, possibly with more digits
+                            processed.push(flagStr[0]); // large-arc
+                            // Rest is sweep flag possibly combined with x coordinate
+                            let rest = flagStr.substring(1);
+                            if (rest.length === 1) {
+                                processed.push(rest); // just sweep flag
+                            } else if (/^[01]/.test(rest)) {
+                                processed.push(rest[0]); // sweep flag
+                                if (rest.length > 1) {
+                                    // Remaining is start of x coordinate
+                                    processed.push(rest.substring(1));
+                                    // Skip x, get y
+                                    if (i < nums.length) processed.push(nums[i++]);
+                                    continue;
+                                }
+                            } else {
+                                processed.push(rest);
+                            }
+                        } else {
+                            processed.push(flagStr); // large-arc flag
+                            // sweep-flag
+                            if (i < nums.length) {
+                                let sweepStr = nums[i++];
+                                if (sweepStr.length > 1 && /^[01]/.test(sweepStr)) {
+                                    processed.push(sweepStr[0]);
+                                    processed.push(sweepStr.substring(1)); // x coordinate
+                                    if (i < nums.length) processed.push(nums[i++]); // y
+                                    continue;
+                                }
+                                processed.push(sweepStr);
+                            }
+                        }
+                    }
+
+                    // x
+                    if (i < nums.length) processed.push(nums[i++]);
+                    // y
+                    if (i < nums.length) processed.push(nums[i++]);
+                }
+
+                return cmd + ' ' + processed.join(' ');
+            });
+        }
+
+        // Tokenize path data properly - handles cases like "0-562.5" where minus starts new number
+        function tokenize(d) {
+            const tokens = [];
+            const re = /([MmLlHhVvCcSsQqTtAaZz])|([+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/g;
+            let m;
+            while ((m = re.exec(d)) !== null) {
+                tokens.push(m[0]);
+            }
+            return tokens;
+        }
+
+        // Pre-process arcs before tokenizing
+        pathData = preprocessArcs(pathData);
+
+        const tokens = tokenize(pathData);
+        const commands = [];
+        let i = 0;
+
+        while (i < tokens.length) {
+            const token = tokens[i];
+            if (/[MmLlHhVvCcSsQqTtAaZz]/.test(token)) {
+                const cmd = token;
+                const args = [];
+                i++;
+                while (i < tokens.length && !/[MmLlHhVvCcSsQqTtAaZz]/.test(tokens[i])) {
+                    args.push(parseFloat(tokens[i]));
+                    i++;
+                }
+                commands.push({ cmd, args });
+            } else {
+                i++;
+            }
+        }
+
+        let x = 0, y = 0;      // Current position
+        let startX = 0, startY = 0;  // Start of current subpath
+        let lastCx = 0, lastCy = 0;  // Last control point (for S/T)
+        let lastCmd = '';
+
+        const result = [];
+
+        for (const { cmd, args } of commands) {
+            const isRelative = cmd === cmd.toLowerCase();
+            const absCmd = cmd.toUpperCase();
+
+            switch (absCmd) {
+                case 'M': {
+                    const pts = [];
+                    for (let i = 0; i < args.length; i += 2) {
+                        const px = isRelative ? x + args[i] : args[i];
+                        const py = isRelative ? y + args[i + 1] : args[i + 1];
+                        if (i === 0) {
+                            pts.push(`M${px} ${py}`);
+                            startX = px;
+                            startY = py;
+                        } else {
+                            pts.push(`L${px} ${py}`);
+                        }
+                        x = px;
+                        y = py;
+                    }
+                    result.push(pts.join(' '));
+                    break;
+                }
+                case 'L': {
+                    const pts = [];
+                    for (let i = 0; i < args.length; i += 2) {
+                        const px = isRelative ? x + args[i] : args[i];
+                        const py = isRelative ? y + args[i + 1] : args[i + 1];
+                        pts.push(`L${px} ${py}`);
+                        x = px;
+                        y = py;
+                    }
+                    result.push(pts.join(' '));
+                    break;
+                }
+                case 'H': {
+                    const pts = [];
+                    for (const arg of args) {
+                        const px = isRelative ? x + arg : arg;
+                        pts.push(`L${px} ${y}`);
+                        x = px;
+                    }
+                    result.push(pts.join(' '));
+                    break;
+                }
+                case 'V': {
+                    const pts = [];
+                    for (const arg of args) {
+                        const py = isRelative ? y + arg : arg;
+                        pts.push(`L${x} ${py}`);
+                        y = py;
+                    }
+                    result.push(pts.join(' '));
+                    break;
+                }
+                case 'C': {
+                    const pts = [];
+                    for (let i = 0; i < args.length; i += 6) {
+                        const x1 = isRelative ? x + args[i] : args[i];
+                        const y1 = isRelative ? y + args[i + 1] : args[i + 1];
+                        const x2 = isRelative ? x + args[i + 2] : args[i + 2];
+                        const y2 = isRelative ? y + args[i + 3] : args[i + 3];
+                        const px = isRelative ? x + args[i + 4] : args[i + 4];
+                        const py = isRelative ? y + args[i + 5] : args[i + 5];
+                        pts.push(`C${x1} ${y1} ${x2} ${y2} ${px} ${py}`);
+                        lastCx = x2;
+                        lastCy = y2;
+                        x = px;
+                        y = py;
+                    }
+                    result.push(pts.join(' '));
+                    break;
+                }
+                case 'S': {
+                    const pts = [];
+                    for (let i = 0; i < args.length; i += 4) {
+                        // Reflect last control point
+                        let x1, y1;
+                        if (lastCmd === 'C' || lastCmd === 'S') {
+                            x1 = 2 * x - lastCx;
+                            y1 = 2 * y - lastCy;
+                        } else {
+                            x1 = x;
+                            y1 = y;
+                        }
+                        const x2 = isRelative ? x + args[i] : args[i];
+                        const y2 = isRelative ? y + args[i + 1] : args[i + 1];
+                        const px = isRelative ? x + args[i + 2] : args[i + 2];
+                        const py = isRelative ? y + args[i + 3] : args[i + 3];
+                        pts.push(`C${x1} ${y1} ${x2} ${y2} ${px} ${py}`);
+                        lastCx = x2;
+                        lastCy = y2;
+                        x = px;
+                        y = py;
+                        lastCmd = 'S';
+                    }
+                    result.push(pts.join(' '));
+                    continue;
+                }
+                case 'Q': {
+                    const pts = [];
+                    for (let i = 0; i < args.length; i += 4) {
+                        const cx = isRelative ? x + args[i] : args[i];
+                        const cy = isRelative ? y + args[i + 1] : args[i + 1];
+                        const px = isRelative ? x + args[i + 2] : args[i + 2];
+                        const py = isRelative ? y + args[i + 3] : args[i + 3];
+                        pts.push(`Q${cx} ${cy} ${px} ${py}`);
+                        lastCx = cx;
+                        lastCy = cy;
+                        x = px;
+                        y = py;
+                    }
+                    result.push(pts.join(' '));
+                    break;
+                }
+                case 'T': {
+                    const pts = [];
+                    for (let i = 0; i < args.length; i += 2) {
+                        let cx, cy;
+                        if (lastCmd === 'Q' || lastCmd === 'T') {
+                            cx = 2 * x - lastCx;
+                            cy = 2 * y - lastCy;
+                        } else {
+                            cx = x;
+                            cy = y;
+                        }
+                        const px = isRelative ? x + args[i] : args[i];
+                        const py = isRelative ? y + args[i + 1] : args[i + 1];
+                        pts.push(`Q${cx} ${cy} ${px} ${py}`);
+                        lastCx = cx;
+                        lastCy = cy;
+                        x = px;
+                        y = py;
+                        lastCmd = 'T';
+                    }
+                    result.push(pts.join(' '));
+                    continue;
+                }
+                case 'A': {
+                    const pts = [];
+                    for (let i = 0; i < args.length; i += 7) {
+                        const rx = args[i];
+                        const ry = args[i + 1];
+                        const angle = args[i + 2];
+                        const largeArc = args[i + 3];
+                        const sweep = args[i + 4];
+                        const px = isRelative ? x + args[i + 5] : args[i + 5];
+                        const py = isRelative ? y + args[i + 6] : args[i + 6];
+                        pts.push(`A${rx} ${ry} ${angle} ${largeArc} ${sweep} ${px} ${py}`);
+                        x = px;
+                        y = py;
+                    }
+                    result.push(pts.join(' '));
+                    break;
+                }
+                case 'Z': {
+                    result.push('Z');
+                    x = startX;
+                    y = startY;
+                    break;
+                }
+            }
+            lastCmd = absCmd;
+        }
+
+        return result.join(' ');
+    }
+
+    // ============================================
+    // CSS Cascade (for resolveStyleRules)
+    // ============================================
+
+    // CSS properties that can be written as SVG presentation attributes. Anything else a
+    // <style> rule sets (transform, geometry, blend modes...) is kept as an inline style.
+    const SVG_PRESENTATION_ATTRIBUTES = [
+        'alignment-baseline', 'baseline-shift', 'clip', 'clip-path', 'clip-rule', 'color',
+        'color-interpolation', 'color-interpolation-filters', 'color-rendering', 'cursor',
+        'direction', 'display', 'dominant-baseline', 'fill', 'fill-opacity', 'fill-rule', 'filter',
+        'flood-color', 'flood-opacity', 'font-family', 'font-size', 'font-size-adjust', 'font-stretch',
+        'font-style', 'font-variant', 'font-weight', 'image-rendering', 'letter-spacing',
+        'lighting-color', 'marker-end', 'marker-mid', 'marker-start', 'mask', 'opacity', 'overflow',
+        'paint-order', 'pointer-events', 'shape-rendering', 'stop-color', 'stop-opacity', 'stroke',
+        'stroke-dasharray', 'stroke-dashoffset', 'stroke-linecap', 'stroke-linejoin',
+        'stroke-miterlimit', 'stroke-opacity', 'stroke-width', 'text-anchor', 'text-decoration',
+        'text-rendering', 'unicode-bidi', 'vector-effect', 'visibility', 'word-spacing', 'writing-mode'
+    ];
+
+    // Pseudo-classes that depend on interaction - a saved icon is never hovered or focused
+    const CSS_DYNAMIC_PSEUDO = /:(hover|focus|focus-within|focus-visible|active|visited|link|any-link|target)(?![\w-])/i;
+
+    // What @supports is judged against, so a style sheet resolves the same in every browser
+    // and the CLI: the properties below (and custom properties), values built from these
+    // functions, and selectors using these pseudo-classes and pseudo-elements
+    const CSS_SUPPORTED_PROPERTIES = SVG_PRESENTATION_ATTRIBUTES.concat([
+        'transform', 'transform-origin', 'transform-box', 'mix-blend-mode', 'isolation'
+    ]);
+    const CSS_SUPPORTED_FUNCTIONS = ['rgb', 'rgba', 'hsl', 'hsla', 'url', 'var', 'calc',
+        'matrix', 'translate', 'translatex', 'translatey', 'scale', 'scalex', 'scaley', 'rotate',
+        'skew', 'skewx', 'skewy'];
+    const CSS_SUPPORTED_PSEUDO = ['is', 'where', 'not', 'root', 'empty', 'first-child', 'last-child',
+        'only-child', 'nth-child', 'nth-last-child', 'first-of-type', 'last-of-type', 'only-of-type',
+        'nth-of-type', 'nth-last-of-type', 'hover', 'focus', 'focus-within', 'focus-visible', 'active',
+        'visited', 'link', 'any-link', 'target', 'before', 'after', 'first-line', 'first-letter'];
+
+    /**
+     * Split CSS text on a separator that isn't inside quotes, parentheses or brackets
+     * @param {string} text
+     * @param {string} separator - Single character, e.g. ',' or ';'
+     * @returns {string[]} - Trimmed, non-empty parts
+     */
+    function splitCSSTopLevel(text, separator) {
+        const parts = [];
+        let depth = 0, quote = null, start = 0;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quote) {
+                if (ch === '\\') i++;
+                else if (ch === quote) quote = null;
+            } else if (ch === '"' || ch === "'") {
+                quote = ch;
+            } else if (ch === '(' || ch === '[') {
+                depth++;
+            } else if (ch === ')' || ch === ']') {
+                depth--;
+            } else if (ch === separator && depth === 0) {
+                parts.push(text.slice(start, i));
+                start = i + 1;
+            }
+        }
+        parts.push(text.slice(start));
+        return parts.map(part => part.trim()).filter(Boolean);
+    }
+
+    /**
+     * Parse a declaration block ("fill: red; stroke: blue !important")
+     * @param {string} text
+     * @returns {Array<{prop: string, value: string, important: boolean}>}
+     */
+    function parseCSSDeclarations(text) {
+        const declarations = [];
+        splitCSSTopLevel(text, ';').forEach(decl => {
+            const colonIdx = decl.indexOf(':');
+            if (colonIdx === -1) return;
+            let prop = decl.substring(0, colonIdx).trim();
+            let value = decl.substring(colonIdx + 1).trim();
+            // Custom property names are case-sensitive, everything else isn't
+            if (!prop.startsWith('--')) prop = prop.toLowerCase();
+            const important = /!\s*important\s*$/i.test(value);
+            if (important) value = value.replace(/!\s*important\s*$/i, '').trim();
+            if (prop && value) declarations.push({ prop, value, important });
+        });
+        return declarations;
+    }
+
+    /**
+     * Index of the '}' closing the block opened at openIdx
+     */
+    function findCSSBlockEnd(text, openIdx) {
+        let depth = 0, quote = null;
+        for (let i = openIdx; i < text.length; i++) {
+            const ch = text[i];
+            if (quote) {
+                if (ch === '\\') i++;
+                else if (ch === quote) quote = null;
+            } else if (ch === '"' || ch === "'") {
+                quote = ch;
+            } else if (ch === '{') {
+                depth++;
+            } else if (ch === '}' && --depth === 0) {
+                return i;
+            }
+        }
+        return text.length;
+    }
+
+    /**
+     * Decide whether an @media query list applies to an exported icon. Icons are judged as a
+     * static light-mode screen, so the result is the same in every browser and the CLI:
+     * all/screen match, print doesn't, prefers-color-scheme matches light, and other
+     * features (sizes, resolution, hover...) don't match.
+     * @param {string} queryList - Text after "@media"
+     * @returns {boolean}
+     */
+    function mediaQueryApplies(queryList) {
+        const queries = splitCSSTopLevel(queryList, ',');
+        if (queries.length === 0) return true;
+        return queries.some(query => {
+            let q = query.toLowerCase().trim();
+            const negated = /^not\s/.test(q);
+            q = q.replace(/^(not|only)\s+/, '');
+            const matches = q.split(/\s+and\s+/).every(part => {
+                part = part.trim();
+                if (part === 'all' || part === 'screen') return true;
+                const feature = part.match(/^\(\s*([\w-]+)\s*(?::\s*([^)]*?))?\s*\)$/);
+                if (!feature) return false;
+                if (feature[1] === 'prefers-color-scheme') return feature[2] === 'light';
+                return false;
+            });
+            return negated ? !matches : matches;
+        });
+    }
+
+    /**
+     * Split an @supports condition into its top-level terms: parenthesized groups,
+     * functions such as selector(...), and the not/and/or keywords between them
+     * @returns {string[]|null} - null when the condition can't be read
+     */
+    function splitSupportsTerms(condition) {
+        const terms = [];
+        let i = 0;
+        while (i < condition.length) {
+            if (/\s/.test(condition[i])) {
+                i++;
+                continue;
+            }
+            const word = condition.slice(i).match(/^[\w-]*/)[0];
+            if (condition[i + word.length] !== '(') {
+                if (!word) return null;
+                terms.push(word.toLowerCase());
+                i += word.length;
+                continue;
+            }
+            let depth = 0, j = i + word.length;
+            for (; j < condition.length; j++) {
+                if (condition[j] === '(') depth++;
+                else if (condition[j] === ')' && --depth === 0) break;
+            }
+            if (j >= condition.length) return null;
+            terms.push(condition.slice(i, j + 1));
+            i = j + 1;
+        }
+        return terms;
+    }
+
+    /**
+     * Decide whether an @supports condition holds for an exported icon, judged against the
+     * fixed CSS_SUPPORTED_* lists rather than the host's CSS.supports(), in the same way
+     * mediaQueryApplies() judges @media
+     * @param {string} condition - Text after "@supports"
+     * @returns {boolean}
+     */
+    function supportsConditionApplies(condition) {
+        const terms = splitSupportsTerms(condition);
+        if (!terms || terms.length === 0) return false;
+
+        const termApplies = term => {
+            const selector = term.match(/^selector\(([\s\S]*)\)$/i);
+            if (selector) {
+                return (selector[1].match(/::?[\w-]+/g) || [])
+                    .every(pseudo => CSS_SUPPORTED_PSEUDO.includes(pseudo.replace(/^::?/, '').toLowerCase()));
+            }
+            if (term[0] !== '(') return false;
+            const inner = term.slice(1, -1).trim();
+            const declaration = inner.match(/^(--[\w-]+|[a-z-]+)\s*:([\s\S]*)$/i);
+            if (!declaration) return supportsConditionApplies(inner);
+            const prop = declaration[1].toLowerCase();
+            if (prop.startsWith('--')) return true;
+            return CSS_SUPPORTED_PROPERTIES.includes(prop) && (declaration[2].match(/[\w-]+(?=\()/g) || [])
+                .every(fn => CSS_SUPPORTED_FUNCTIONS.includes(fn.toLowerCase()));
+        };
+
+        if (terms[0] === 'not') return terms.length === 2 && !termApplies(terms[1]);
+        const operators = terms.filter((term, i) => i % 2 === 1);
+        const operands = terms.filter((term, i) => i % 2 === 0);
+        if (terms.length % 2 === 0 || operators.some(op => op !== operators[0])) return false;
+        if (operators[0] === 'or') return operands.some(termApplies);
+        if (operators.length === 0 || operators[0] === 'and') return operands.every(termApplies);
+        return false;
+    }
+
+    /**
+     * Register cascade layers in the order they first appear
+     * @param {Map<string, number>} layers - Full layer name ('outer.inner') -> order
+     * @param {string[]} parent - Full names of the enclosing layers
+     * @param {string} name - Layer name as written: '' for an anonymous layer, and a dotted
+     *   name ('theme.icons') declares each layer along the way
+     * @returns {string[]} - Full names of the enclosing layers plus the new ones
+     */
+    function declareCSSLayer(layers, parent, name) {
+        // Anonymous layers can't be named again, so each one is new
+        const segments = name ? name.split('.').map(segment => segment.trim()) : ['\u0000' + layers.size];
+        return segments.reduce((path, segment) => {
+            const fullName = (path.length > 0 ? path[path.length - 1] + '.' : '') + segment;
+            if (!layers.has(fullName)) layers.set(fullName, layers.size);
+            return path.concat(fullName);
+        }, parent);
+    }
+
+    /**
+     * Parse style sheet text into rules, keeping the ones that apply to a saved icon.
+     * @media blocks are kept or dropped by mediaQueryApplies() and @supports blocks by
+     * supportsConditionApplies(); @layer blocks and statements give rules their layer;
+     * other at-rules are ignored.
+     * @param {string} cssText
+     * @param {Array} rules - Receives {selectors: string[], declarations: Array, layer: number[]},
+     *   layer being the order of each enclosing layer, outermost first ([] when unlayered)
+     * @param {Map<string, number>} [layers] - Layer order, shared by all of an SVG's style sheets
+     * @param {boolean} [active=true] - False inside a block whose condition failed
+     * @param {string[]} [layerPath=[]] - Full names of the enclosing layers
+     */
+    function parseStyleSheet(cssText, rules, layers = new Map(), active = true, layerPath = []) {
+        const text = cssText.replace(/\/\*[\s\S]*?\*\//g, '').replace(/<!--|-->/g, '');
+        let i = 0;
+        while (i < text.length) {
+            // Find the end of the prelude: a '{' opening a block, or ';' ending a statement
+            let j = i, depth = 0, quote = null;
+            for (; j < text.length; j++) {
+                const ch = text[j];
+                if (quote) {
+                    if (ch === '\\') j++;
+                    else if (ch === quote) quote = null;
+                } else if (ch === '"' || ch === "'") quote = ch;
+                else if (ch === '(') depth++;
+                else if (ch === ')') depth--;
+                else if (depth === 0 && (ch === '{' || ch === ';')) break;
+            }
+            if (j >= text.length) break;
+            const prelude = text.slice(i, j).trim();
+            if (text[j] === ';') {
+                // "@layer a, b;" fixes the order of layers before their rules appear.
+                // @import, @charset and @namespace are ignored.
+                if (active && /^@layer\s/i.test(prelude)) {
+                    splitCSSTopLevel(prelude.replace(/^@layer/i, ''), ',')
+                        .forEach(name => declareCSSLayer(layers, layerPath, name));
+                }
+                i = j + 1;
+                continue;
+            }
+
+            const end = findCSSBlockEnd(text, j);
+            const body = text.slice(j + 1, end);
+            if (prelude.startsWith('@')) {
+                const name = (prelude.match(/^@([\w-]+)/) || [])[1];
+                const condition = prelude.replace(/^@[\w-]+/, '').trim();
+                if (name === 'media') {
+                    parseStyleSheet(body, rules, layers, active && mediaQueryApplies(condition), layerPath);
+                } else if (name === 'supports') {
+                    parseStyleSheet(body, rules, layers, active && supportsConditionApplies(condition), layerPath);
+                } else if (name === 'layer') {
+                    const nested = active ? declareCSSLayer(layers, layerPath, condition) : layerPath;
+                    parseStyleSheet(body, rules, layers, active, nested);
+                }
+            } else if (active && prelude) {
+                rules.push({
+                    selectors: splitCSSTopLevel(prelude, ','),
+                    declarations: parseCSSDeclarations(body),
+                    layer: layerPath.map(fullName => layers.get(fullName))
+                });
+            }
+            i = end + 1;
+        }
+        return rules;
+    }
+
+    /**
+     * Selector specificity as [ids, classes/attributes/pseudo-classes, types/pseudo-elements]
+     * @param {string} selector - A single (non-list) selector
+     * @returns {number[]}
+     */
+    function selectorSpecificity(selector) {
+        const spec = [0, 0, 0];
+        const add = other => { spec[0] += other[0]; spec[1] += other[1]; spec[2] += other[2]; };
+        let s = selector;
+
+        // :is()/:not()/:has() count as their most specific argument, :where() as nothing
+        let prev;
+        do {
+            prev = s;
+            s = s.replace(/:(is|not|has|matches|where)\(([^()]*)\)/gi, (m, name, args) => {
+                if (name.toLowerCase() !== 'where') {
+                    const max = splitCSSTopLevel(args, ',').map(selectorSpecificity)
+                        .reduce((best, sp) => compareSpecificity(sp, best) > 0 ? sp : best, [0, 0, 0]);
+                    add(max);
+                }
+                return ' ';
+            });
+        } while (s !== prev);
+
+        s = s.replace(/\[[^\]]*\]/g, () => { spec[1]++; return ' '; });
+        s = s.replace(/#[\w-]+/g, () => { spec[0]++; return ' '; });
+        s = s.replace(/\.[\w-]+/g, () => { spec[1]++; return ' '; });
+        s = s.replace(/::?[\w-]+(\([^)]*\))?/g, m => {
+            if (m.startsWith('::') || /^:(before|after|first-line|first-letter)$/i.test(m)) spec[2]++;
+            else spec[1]++;
+            return ' ';
+        });
+        spec[2] += (s.replace(/[\w-]*\|/g, ' ').match(/[a-zA-Z][\w-]*/g) || []).length;
+        return spec;
+    }
+
+    function compareSpecificity(a, b) {
+        return (a[0] - b[0]) || (a[1] - b[1]) || (a[2] - b[2]);
+    }
+
+    /**
+     * Cascade layer order of two normal declarations: positive when a wins. A later layer
+     * beats an earlier one, and rules outside any sublayer beat the sublayers they sit
+     * next to, so unlayered rules beat every layer.
+     * @param {number[]} a - Layer orders, outermost first
+     * @param {number[]} b
+     */
+    function compareLayers(a, b) {
+        for (let k = 0; ; k++) {
+            if (k === a.length || k === b.length) return (k === a.length) - (k === b.length);
+            if (a[k] !== b[k]) return a[k] - b[k];
+        }
+    }
+
+    /**
+     * Cascade order of two declarations for the same property: positive when a wins.
+     * !important beats normal, inline style beats style sheets within each, then cascade
+     * layers (reversed for !important), then specificity, then source order.
+     */
+    function compareCascade(a, b) {
+        const layers = compareLayers(a.layer, b.layer);
+        return (a.important - b.important) || (a.inline - b.inline) ||
+            (a.important ? -layers : layers) ||
+            compareSpecificity(a.specificity, b.specificity) || (a.order - b.order);
+    }
+
+    /**
+     * Replace var(--name, fallback) with custom property values declared on the element
+     * or inherited from its ancestors
+     * @param {string} value
+     * @param {Element} el
+     * @param {Map<Element, Map>} custom - Element -> custom property winners
+     * @returns {string}
+     */
+    function resolveCSSVariables(value, el, custom) {
+        let result = value;
+        for (let pass = 0; pass < 10 && result.includes('var('); pass++) {
+            result = result.replace(/var\(\s*(--[\w-]+)\s*(?:,\s*([^()]*(?:\([^()]*\)[^()]*)*))?\)/g, (m, name, fallback) => {
+                for (let node = el; node && node.nodeType === 1; node = node.parentNode) {
+                    const props = custom.get(node);
+                    if (props && props.has(name)) return props.get(name).value;
+                }
+                return fallback !== undefined ? fallback.trim() : m;
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Resolve CSS <style> rules into presentation attributes on matching elements.
+     * Many SVGs (especially from icon libraries) use <style> blocks with class selectors
+     * instead of inline attributes. FileMaker and the editor's fill/stroke controls
+     * only work with XML presentation attributes, so we need to inline these.
+     *
+     * Each property is decided by the CSS cascade (!important, inline style, cascade layers,
+     * specificity, source order), so the result looks the same as the styled original.
+     * Properties that aren't presentation attributes stay in the style attribute, and var()
+     * references to custom properties from the style sheet are replaced with their values.
+     */
+    function resolveStyleRules(svg) {
+        const styleElements = svg.querySelectorAll('style');
+        if (styleElements.length === 0) return;
+
+        const rules = [];
+        const layers = new Map();
+        styleElements.forEach(styleEl => parseStyleSheet(styleEl.textContent, rules, layers));
+
+        // Collect the declarations of every matching rule per element
+        const elements = [svg, ...svg.querySelectorAll('*')];
+        const matched = new Map();
+        rules.forEach((rule, order) => {
+            rule.selectors.forEach(selector => {
+                // Interaction states and pseudo-elements never apply to a saved icon
+                if (CSS_DYNAMIC_PSEUDO.test(selector) || selector.includes('::')) return;
+                let targets;
+                try {
+                    targets = elements.filter(el => el.matches(selector));
+                } catch (e) {
+                    console.warn('Could not apply CSS rule:', selector, e);
+                    return;
+                }
+                const specificity = selectorSpecificity(selector);
+                targets.forEach(el => {
+                    if (!matched.has(el)) matched.set(el, []);
+                    rule.declarations.forEach(decl => {
+                        matched.get(el).push(Object.assign({ specificity, order, inline: false, layer: rule.layer }, decl));
+                    });
+                });
+            });
+        });
+
+        // Cascade: the winning declaration of each property, per element
+        const winners = new Map();
+        const custom = new Map();
+        elements.forEach(el => {
+            const inline = parseCSSDeclarations(el.getAttribute('style') || '')
+                .map(decl => Object.assign({ specificity: [0, 0, 0], order: 0, inline: true, layer: [] }, decl));
+            const declarations = (matched.get(el) || []).concat(inline);
+            if (declarations.length === 0) return;
+
+            const best = new Map();
+            declarations.forEach(decl => {
+                const current = best.get(decl.prop);
+                if (!current || compareCascade(decl, current) > 0) best.set(decl.prop, decl);
+            });
+            winners.set(el, best);
+            const customProps = new Map(Array.from(best).filter(([prop]) => prop.startsWith('--')));
+            if (customProps.size > 0) custom.set(el, customProps);
+        });
+
+        // Write the winners: presentation attributes where possible, inline style otherwise
+        winners.forEach((best, el) => {
+            if (!matched.has(el) && !(el.getAttribute('style') || '').includes('var(')) return;
+            const style = [];
+            best.forEach((decl, prop) => {
+                const value = resolveCSSVariables(decl.value, el, custom);
+                if (decl.inline) {
+                    style.push(prop + ':' + value + (decl.important ? ' !important' : ''));
+                } else if (SVG_PRESENTATION_ATTRIBUTES.includes(prop)) {
+                    el.setAttribute(prop, value);
+                } else if (!prop.startsWith('--')) {
+                    style.push(prop + ':' + value);
+                }
+            });
+            if (style.length > 0) el.setAttribute('style', style.join(';'));
+            else el.removeAttribute('style');
+        });
+
+        styleElements.forEach(styleEl => {
+            // Remove the <style> element (and parent <defs> if now empty)
+            const parent = styleEl.parentElement;
+            styleEl.remove();
+            if (parent && parent.tagName.toLowerCase() === 'defs' && parent.children.length === 0) {
+                parent.remove();
+            }
+        });
+    }
+
+    // ============================================
+    // Shapes to Paths
+    // ============================================
+
+    const PRIMITIVE_SHAPES = 'circle, rect, ellipse, line, polyline, polygon';
+
+    // Geometry attributes a primitive loses when it becomes a <path>
+    const SHAPE_GEOMETRY_ATTRIBUTES = ['x', 'y', 'width', 'height', 'rx', 'ry', 'r', 'cx', 'cy',
+        'x1', 'y1', 'x2', 'y2', 'points', 'pathLength'];
+
+    /**
+     * Replace <use> references with plain copies of what they point at. The use's x/y and
+     * transform (and a symbol's viewBox placement, preserveAspectRatio's default xMidYMid
+     * meet) are baked into the copied geometry, which comes out as absolute paths with no
+     * wrapper transform. Presentation attributes set on the <use> stay on a <g> around the
+     * copy, since the copy inherits them. References to missing or external content are
+     * dropped, as a browser would draw nothing for them.
+     * @param {SVGElement} svg - Modified in place
+     */
+    function expandUseElements(svg) {
+        const ns = 'http://www.w3.org/2000/svg';
+        const findTarget = use => {
+            const href = use.getAttribute('href') || use.getAttribute('xlink:href') || '';
+            return href.startsWith('#')
+                ? Array.from(svg.querySelectorAll('[id]')).find(el => el.getAttribute('id') === href.slice(1)) || null
+                : null;
+        };
+
+        // Each pass expands the uses whose targets hold no <use> of their own, so nested
+        // references are resolved inside the target before it is copied. The cap stops
+        // circular references, which never get there.
+        for (let pass = 0; pass < 10; pass++) {
+            const uses = Array.from(svg.querySelectorAll('use'));
+            if (uses.length === 0) return;
+
+            uses.forEach(use => {
+                const target = findTarget(use);
+                if (!target || target === use || target.contains(use)) {
+                    use.remove();
+                    return;
+                }
+                if (target.querySelector('use')) return;
+
+                const num = name => parseFloat(use.getAttribute(name)) || 0;
+                // A <use> is drawn with its own transform, then translated by x/y
+                let matrix = multiplyMatrix(parseTransformList(use.getAttribute('transform')), [1, 0, 0, 1, num('x'), num('y')]);
+
+                let content;
+                if (target.localName === 'symbol' || target.localName === 'svg') {
+                    content = document.createElementNS(ns, 'g');
+                    Array.from(target.attributes).forEach(attr => {
+                        if (!['id', 'viewBox', 'preserveAspectRatio', 'x', 'y', 'width', 'height', 'refX', 'refY', 'xmlns']
+                            .includes(attr.name) && !attr.name.startsWith('xmlns:')) {
+                            content.setAttribute(attr.name, attr.value);
+                        }
+                    });
+                    Array.from(target.childNodes).forEach(node => content.appendChild(node.cloneNode(true)));
+
+                    const vb = (target.getAttribute('viewBox') || '').trim().split(/[\s,]+/).map(parseFloat);
+                    if (vb.length === 4 && vb[2] > 0 && vb[3] > 0) {
+                        const w = parseFloat(use.getAttribute('width')) || parseFloat(target.getAttribute('width')) || vb[2];
+                        const h = parseFloat(use.getAttribute('height')) || parseFloat(target.getAttribute('height')) || vb[3];
+                        const scale = Math.min(w / vb[2], h / vb[3]);
+                        const tx = (w - vb[2] * scale) / 2 - vb[0] * scale;
+                        const ty = (h - vb[3] * scale) / 2 - vb[1] * scale;
+                        matrix = multiplyMatrix(matrix, [scale, 0, 0, scale, tx, ty]);
+                    }
+                } else {
+                    content = target.cloneNode(true);
+                }
+
+                // Copies must not repeat the ids of the original
+                content.removeAttribute('id');
+                content.querySelectorAll('[id]').forEach(el => el.removeAttribute('id'));
+
+                const group = document.createElementNS(ns, 'g');
+                Array.from(use.attributes).forEach(attr => {
+                    if (!['href', 'xlink:href', 'x', 'y', 'width', 'height', 'transform'].includes(attr.name)) {
+                        group.setAttributeNS(attr.namespaceURI, attr.name, attr.value);
+                    }
+                });
+                group.appendChild(content);
+                use.parentNode.replaceChild(group, use);
+
+                // In place, so inherited strokes and paints are found while baking
+                convertPrimitivesToPaths(group);
+                bakeElementTransforms(svg, Array.from(group.children), matrix);
+                unwrapEmptyGroups(group);
+                if (group.attributes.length === 0 && group.parentNode.localName !== 'switch') {
+                    while (group.firstChild) group.parentNode.insertBefore(group.firstChild, group);
+                    group.remove();
+                }
+            });
+        }
+        svg.querySelectorAll('use').forEach(use => use.remove());
+    }
+
+    /**
+     * Replace the primitive shapes inside an element with equivalent <path>s
+     * @param {Element} root - Modified in place
+     * @returns {number} - Number of shapes converted
+     */
+    function convertPrimitivesToPaths(root) {
+        let converted = 0;
+        root.querySelectorAll(PRIMITIVE_SHAPES).forEach(el => {
+            const d = shapeToPathData(el);
+            if (!d) {
+                // Zero-size shapes aren't drawn at all
+                el.remove();
+                return;
+            }
+            const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            path.setAttribute('d', d);
+            Array.from(el.attributes).forEach(attr => {
+                if (!SHAPE_GEOMETRY_ATTRIBUTES.includes(attr.name)) path.setAttributeNS(attr.namespaceURI, attr.name, attr.value);
+            });
+            el.parentNode.replaceChild(path, el);
+            converted++;
+        });
+        return converted;
+    }
+
+    /**
+     * Convert <circle>, <rect> (including rounded corners), <ellipse>, <line>, <polyline>
+     * and <polygon> - and the content of <use> references - into absolute <path> elements,
+     * so path normalization and evenodd winding correction see every shape.
+     * Presentation attributes, classes and transforms carry over to the new paths.
+     * @param {SVGElement} svg - Modified in place
+     * @returns {number} - Number of shapes converted
+     */
+    function convertShapesToPaths(svg) {
+        expandUseElements(svg);
+        return convertPrimitivesToPaths(svg);
+    }
+
+    // ============================================
+    // Transform Baking
+    // ============================================
+
+    // Content drawn in a coordinate system of its own (viewports, glyphs, bitmaps, clip paths,
+    // masks, filters, markers). A transform above it can't be moved into its geometry, so it
+    // keeps a single matrix() instead of the stack it had.
+    const BAKE_OPAQUE_ELEMENTS = ['text', 'image', 'foreignObject', 'svg', 'switch'];
+    const BAKE_OPAQUE_PROPERTIES = ['clip-path', 'mask', 'filter'];
+    const BAKE_MARKER_PROPERTIES = ['marker-start', 'marker-mid', 'marker-end'];
+
+    // Only drawn through references; baked (or not) along with whatever references them
+    const BAKE_SKIPPED_ELEMENTS = ['defs', 'clipPath', 'mask', 'symbol', 'marker', 'pattern',
+        'linearGradient', 'radialGradient', 'style', 'title', 'desc', 'metadata'];
+
+    function isIdentityMatrix(m) {
+        return Math.abs(m[0] - 1) < 1e-9 && Math.abs(m[1]) < 1e-9 && Math.abs(m[2]) < 1e-9 &&
+            Math.abs(m[3] - 1) < 1e-9 && Math.abs(m[4]) < 1e-9 && Math.abs(m[5]) < 1e-9;
+    }
+
+    /**
+     * Whether a matrix keeps angles and scales evenly (rotation, flip, uniform scale, translation),
+     * so stroke widths can simply be multiplied through
+     */
+    function isConformalMatrix(m) {
+        const scaleX = m[0] * m[0] + m[1] * m[1];
+        const scaleY = m[2] * m[2] + m[3] * m[3];
+        return Math.abs(scaleX - scaleY) <= 1e-9 * Math.max(scaleX, scaleY) &&
+            Math.abs(m[0] * m[2] + m[1] * m[3]) <= 1e-9 * Math.max(scaleX, scaleY);
+    }
+
+    function formatBakedNumber(v) {
+        const s = String(parseFloat(v.toFixed(5)));
+        return s === '-0' ? '0' : s;
+    }
+
+    function formatMatrix(m) {
+        return `matrix(${m.map(formatBakedNumber).join(' ')})`;
+    }
+
+    /**
+     * Apply an affine matrix to path data. Arcs get new radii and rotation (and a
+     * mirrored sweep under a flip), so curves stay exact curves.
+     * @param {string} pathData - Path d attribute (any command form)
+     * @param {number[]} m - Matrix [a, b, c, d, e, f]
+     * @returns {string} - Absolute path data using M, L, C, Q, A and Z
+     */
+    function transformPathData(pathData, m) {
+        const flipped = m[0] * m[3] - m[1] * m[2] < 0;
+        const point = (x, y) => formatBakedNumber(m[0] * x + m[2] * y + m[4]) + ' ' +
+            formatBakedNumber(m[1] * x + m[3] * y + m[5]);
+
+        function arc(args) {
+            const [rx, ry, angle, large, sweep, x, y] = args;
+            if (rx === 0 || ry === 0) return 'L' + point(x, y);
+            // Axes of the transformed ellipse: eigen-decomposition of T·Tᵀ, where T maps the unit circle
+            const phi = angle * Math.PI / 180;
+            const cos = Math.cos(phi), sin = Math.sin(phi);
+            const ux = (m[0] * cos + m[2] * sin) * Math.abs(rx), uy = (m[1] * cos + m[3] * sin) * Math.abs(rx);
+            const vx = (m[2] * cos - m[0] * sin) * Math.abs(ry), vy = (m[3] * cos - m[1] * sin) * Math.abs(ry);
+            const a = ux * ux + vx * vx, b = ux * uy + vx * vy, c = uy * uy + vy * vy;
+            const mean = (a + c) / 2;
+            const spread = Math.sqrt(((a - c) / 2) * ((a - c) / 2) + b * b);
+            const newRx = Math.sqrt(mean + spread);
+            const newRy = Math.sqrt(Math.max(mean - spread, 0));
+            if (newRy < 1e-9) return 'L' + point(x, y);
+            const newAngle = Math.atan2(2 * b, a - c) / 2 * 180 / Math.PI;
+            return `A${formatBakedNumber(newRx)} ${formatBakedNumber(newRy)} ${formatBakedNumber(newAngle)} ` +
+                `${large ? 1 : 0} ${(sweep ? 1 : 0) ^ (flipped ? 1 : 0)} ${point(x, y)}`;
+        }
+
+        return tokenizePathData(pathData).map(({ cmd, args }) => {
+            if (cmd === 'Z') return 'Z';
+            if (cmd === 'A') return arc(args);
+            const points = [];
+            for (let k = 0; k < args.length; k += 2) points.push(point(args[k], args[k + 1]));
+            return cmd + points.join(' ');
+        }).join(' ');
+    }
+
+    /**
+     * Bounding box of path data in its own coordinates (for objectBoundingBox gradients)
+     * @returns {{x: number, y: number, width: number, height: number}|null}
+     */
+    function getPathDataBounds(pathData) {
+        const points = [];
+        flattenPathData(pathData, 0.01).forEach(subpath => points.push(...subpath.points));
+        if (points.length === 0) return null;
+        const box = ringBounds(points);
+        return { x: box.minX, y: box.minY, width: box.maxX - box.minX, height: box.maxY - box.minY };
+    }
+
+    /**
+     * Flatten every transform in an SVG into its path coordinates: shapes and <use> copies
+     * become paths, each path's d is rewritten through its full transform stack, and
+     * transform attributes are removed along with the groups that only held one. Stroke widths and dashes are scaled with the
+     * geometry, and gradients are re-anchored so they paint the same area.
+     *
+     * Content that can't be baked exactly - text, images, nested viewports, clip paths,
+     * masks, filters, markers, pattern paints and strokes under uneven scaling - keeps
+     * one matrix() transform of its own.
+     * @param {SVGElement} svg - Modified in place
+     * @returns {number} - Number of elements left with a transform
+     */
+    function bakeTransforms(svg) {
+        convertShapesToPaths(svg);
+        const kept = bakeElementTransforms(svg, Array.from(svg.children), [1, 0, 0, 1, 0, 0]);
+        unwrapEmptyGroups(svg);
+        return kept;
+    }
+
+    /**
+     * The baking pass of bakeTransforms for some elements of an SVG, with a transform
+     * from above them applied too. Shapes must already be paths.
+     * @param {SVGElement} svg - Root, for paint server lookups and inherited properties
+     * @param {Element[]} elements - Elements of svg (modified in place)
+     * @param {number[]} parentMatrix - Transform applied on top of their own
+     * @returns {number} - Number of elements left with a transform
+     */
+    function bakeElementTransforms(svg, elements, parentMatrix) {
+        const bakedGradients = new Map(); // "id|matrix|bounds" -> id of the re-anchored copy
+        let kept = 0;
+
+        const readProperty = (el, prop) => (el.style && el.style.getPropertyValue(prop)) || el.getAttribute(prop);
+        const writeProperty = (el, prop, value) => {
+            if (el.style && el.style.getPropertyValue(prop)) el.style.setProperty(prop, value);
+            else el.setAttribute(prop, value);
+        };
+
+        function keepMatrix(el, matrix) {
+            if (isIdentityMatrix(matrix)) return;
+            el.setAttribute('transform', formatMatrix(matrix));
+            kept++;
+        }
+
+        /**
+         * Attribute of a gradient, following href to its template
+         */
+        function gradientAttribute(gradient, name) {
+            const seen = [];
+            let current = gradient;
+            while (current && !seen.includes(current)) {
+                if (current.hasAttribute(name)) return current.getAttribute(name);
+                seen.push(current);
+                const href = current.getAttribute('href') || current.getAttribute('xlink:href');
+                current = href && href.startsWith('#') ? findPaintServer(svg, href.slice(1)) : null;
+            }
+            return null;
+        }
+
+        /**
+         * Copy a gradient into user space so it lands where it did before the
+         * path it paints moved by `matrix`
+         * @returns {string|null} - Id of the copy (null when the paint can't be moved)
+         */
+        function bakeGradient(gradient, matrix, bounds) {
+            const id = gradient.getAttribute('id');
+            const key = [id, matrix.join(','), bounds ? [bounds.x, bounds.y, bounds.width, bounds.height].join(',') : ''].join('|');
+            if (bakedGradients.has(key)) return bakedGradients.get(key);
+
+            const copy = gradient.cloneNode(true);
+            const units = gradientAttribute(gradient, 'gradientUnits') || 'objectBoundingBox';
+            let gradientMatrix = parseTransformList(gradientAttribute(gradient, 'gradientTransform'));
+
+            if (units === 'objectBoundingBox') {
+                // Zero-size boxes aren't painted by bounding-box gradients anyway
+                if (!bounds || bounds.width <= 0 || bounds.height <= 0) return id;
+                const fraction = (name, fallback) => {
+                    const value = gradientAttribute(gradient, name);
+                    if (value === null) return fallback;
+                    return value.trim().endsWith('%') ? parseFloat(value) / 100 : parseFloat(value);
+                };
+                const coords = gradient.localName === 'linearGradient'
+                    ? { x1: fraction('x1', 0), y1: fraction('y1', 0), x2: fraction('x2', 1), y2: fraction('y2', 0) }
+                    : { cx: fraction('cx', 0.5), cy: fraction('cy', 0.5), r: fraction('r', 0.5), fr: fraction('fr', 0) };
+                if (gradient.localName === 'radialGradient') {
+                    coords.fx = fraction('fx', coords.cx);
+                    coords.fy = fraction('fy', coords.cy);
+                }
+                // Bounding-box units map 0..1 onto the shape's box
+                Object.keys(coords).forEach(name => copy.setAttribute(name, coords[name]));
+                gradientMatrix = multiplyMatrix([bounds.width, 0, 0, bounds.height, bounds.x, bounds.y], gradientMatrix);
+            }
+
+            let copyId = `${id}-baked`;
+            for (let n = 2; Array.from(svg.querySelectorAll('[id]')).some(el => el.getAttribute('id') === copyId); n++) {
+                copyId = `${id}-baked-${n}`;
+            }
+            copy.setAttribute('id', copyId);
+            copy.setAttribute('gradientUnits', 'userSpaceOnUse');
+            copy.setAttribute('gradientTransform', formatMatrix(multiplyMatrix(matrix, gradientMatrix)));
+            gradient.parentNode.insertBefore(copy, gradient.nextSibling);
+
+            bakedGradients.set(key, copyId);
+            return copyId;
+        }
+
+        function bakePath(el, matrix) {
+            const d = el.getAttribute('d') || '';
+            const paints = ['fill', 'stroke'].map(prop => {
+                const server = getPaintServerId(getEffectivePaint(el, prop));
+                return server ? findPaintServer(svg, server) : null;
+            });
+            const stroked = getEffectivePaint(el, 'stroke') !== 'none';
+            const scalesStroke = stroked && getPresentationValue(el, 'vector-effect', svg) !== 'non-scaling-stroke';
+
+            if (paints.some(server => server && server.localName === 'pattern') ||
+                (scalesStroke && !isConformalMatrix(matrix)) ||
+                BAKE_MARKER_PROPERTIES.some(prop => {
+                    const value = getPresentationValue(el, prop, svg);
+                    return value && value !== 'none';
+                })) {
+                keepMatrix(el, matrix);
+                return;
+            }
+
+            const bounds = paints.some(Boolean) ? getPathDataBounds(d) : null;
+            ['fill', 'stroke'].forEach((prop, index) => {
+                const server = paints[index];
+                if (!server) return;
+                const copyId = bakeGradient(server, matrix, bounds);
+                if (copyId) writeProperty(el, prop, `url(#${copyId})`);
+            });
+
+            if (scalesStroke) {
+                const scale = Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]));
+                const width = getPresentationValue(el, 'stroke-width', svg) || '1';
+                // Percentages are of the viewport, which doesn't move
+                if (!width.endsWith('%')) writeProperty(el, 'stroke-width', formatBakedNumber(parseFloat(width) * scale));
+                const dashes = getPresentationValue(el, 'stroke-dasharray', svg);
+                if (dashes && dashes !== 'none') {
+                    writeProperty(el, 'stroke-dasharray', dashes.split(/[\s,]+/)
+                        .map(v => v.endsWith('%') ? v : formatBakedNumber(parseFloat(v) * scale)).join(' '));
+                }
+                const dashOffset = getPresentationValue(el, 'stroke-dashoffset', svg);
+                if (dashOffset && !dashOffset.endsWith('%')) {
+                    writeProperty(el, 'stroke-dashoffset', formatBakedNumber(parseFloat(dashOffset) * scale));
+                }
+            }
+
+            el.setAttribute('d', transformPathData(d, matrix));
+        }
+
+        function visit(el, parentMatrix) {
+            if (BAKE_SKIPPED_ELEMENTS.includes(el.localName)) return;
+            const transform = el.getAttribute('transform');
+            const matrix = transform ? multiplyMatrix(parentMatrix, parseTransformList(transform)) : parentMatrix;
+            el.removeAttribute('transform');
+
+            const opaque = BAKE_OPAQUE_ELEMENTS.includes(el.localName) || BAKE_OPAQUE_PROPERTIES.some(prop => {
+                const value = readProperty(el, prop);
+                return value && value.trim() !== 'none';
+            });
+            if (opaque) {
+                keepMatrix(el, matrix);
+                // Children are still baked into the element's own coordinates
+                if (el.localName !== 'text') Array.from(el.children).forEach(child => visit(child, [1, 0, 0, 1, 0, 0]));
+                return;
+            }
+
+            if (el.localName === 'path') {
+                if (!isIdentityMatrix(matrix)) {
+                    bakePath(el, matrix);
+                } else if (el.hasAttribute('d')) {
+                    // Already in place, but rewritten so every path is absolute with the same number format
+                    el.setAttribute('d', transformPathData(el.getAttribute('d'), matrix));
+                }
+                return;
+            }
+            Array.from(el.children).forEach(child => visit(child, matrix));
+        }
+
+        elements.forEach(el => visit(el, parentMatrix));
+        return kept;
+    }
+
+    /**
+     * Replace each <g> with no attributes by its children (dropping it when it has none),
+     * so the groups that only carried a transform don't stay behind as bare wrappers.
+     * Groups directly inside <switch> are kept, since there each child is one alternative.
+     * @param {Element} root - Modified in place
+     */
+    function unwrapEmptyGroups(root) {
+        // Deepest first, so a group emptied by unwrapping its children is seen afterwards
+        Array.from(root.querySelectorAll('g')).reverse().forEach(group => {
+            if (group.attributes.length > 0 || group.parentNode.localName === 'switch') return;
+            while (group.firstChild) group.parentNode.insertBefore(group.firstChild, group);
+            group.remove();
+        });
+    }
+
+    /**
+     * Convert compound paths with fill-rule="evenodd" to use nonzero fill-rule
+     * by correcting the winding direction of sub-paths.
+     *
+     * FileMaker's button bar SVG renderer doesn't properly support evenodd fill-rule,
+     * causing letter cutouts in compound paths (like Adobe product icons) to disappear.
+     *
+     * With nonzero fill-rule, sub-paths winding in opposite directions create holes.
+     * This function ensures:
+     *   - Even nesting levels (outer shapes): wind in one direction (filled)
+     *   - Odd nesting levels (cutout holes): wind in the opposite direction (not filled)
+     *
+     * Must be called AFTER normalizePath() since it expects absolute commands only.
+     */
+    function convertEvenOddToNonZero(svg) {
+        const evenOddPaths = svg.querySelectorAll('path[fill-rule="evenodd"]');
+        if (evenOddPaths.length === 0) return;
+
+        // Compute the midpoint of an SVG arc using center parameterization.
+        // Needed for polygon approximation — arcs with only 2 endpoints can be
+        // collinear (e.g., circles drawn with 2 semicircular arcs), giving zero
+        // area in the shoelace formula and breaking winding direction detection.
+        function arcMidpoint(x1, y1, rx, ry, angle, largeArc, sweep, x2, y2) {
+            const arc = arcCenter(x1, y1, rx, ry, angle, largeArc, sweep, x2, y2);
+            if (!arc) return null;
+            const mid = arcPoint(arc, arc.theta1 + arc.dTheta / 2);
+            return [mid.x, mid.y];
+        }
+
+        // Extract on-curve sample points from a sub-path for polygon approximation.
+        // For straight segments (M, L): adds the endpoint.
+        // For cubic curves (C): adds the on-curve midpoint at t=0.5 (de Casteljau) AND
+        //   the endpoint. NOT control points — those create oversized polygons that break
+        //   containment tests (Bug #1). Midpoints turn a 4-cubic circle from a diamond
+        //   (4 points) into an octagon (8 points), critical for containment accuracy.
+        // For arcs (A): adds the arc midpoint (center parameterization) AND the endpoint.
+        //   Without midpoints, circles drawn with 2 arcs produce collinear endpoints with
+        //   zero shoelace area (Bug #3).
+        function extractEndpoints(subPath) {
+            const points = [];
+            let cx = 0, cy = 0; // track current point
+            tokenizePathData(subPath).forEach(({ cmd, args }) => {
+                switch (cmd) {
+                    case 'M': case 'L':
+                        [cx, cy] = args;
+                        points.push([cx, cy]);
+                        break;
+                    case 'C': {
+                        // Sample on-curve midpoint at t=0.5 (de Casteljau), then endpoint
+                        const [cp1x, cp1y, cp2x, cp2y, ex, ey] = args;
+                        points.push([
+                            0.125 * cx + 0.375 * cp1x + 0.375 * cp2x + 0.125 * ex,
+                            0.125 * cy + 0.375 * cp1y + 0.375 * cp2y + 0.125 * ey
+                        ]);
+                        cx = ex; cy = ey;
+                        points.push([cx, cy]);
+                        break;
+                    }
+                    case 'Q': {
+                        // Sample on-curve midpoint at t=0.5, then endpoint
+                        const [qcx, qcy, qex, qey] = args;
+                        points.push([
+                            0.25 * cx + 0.5 * qcx + 0.25 * qex,
+                            0.25 * cy + 0.5 * qcy + 0.25 * qey
+                        ]);
+                        cx = qex; cy = qey;
+                        points.push([cx, cy]);
+                        break;
+                    }
+                    case 'A': {
+                        const [arx, ary, aAngle, aLarge, aSweep, ax, ay] = args;
+                        // Sample arc midpoint for proper polygon area
+                        const mid = arcMidpoint(cx, cy, arx, ary, aAngle, aLarge, aSweep, ax, ay);
+                        if (mid) points.push(mid);
+                        cx = ax; cy = ay;
+                        points.push([cx, cy]);
+                        break;
+                    }
+                }
+            });
+            return points;
+        }
+
+        // Shoelace formula for signed area
+        // Positive = clockwise in SVG coords (Y-axis down)
+        function signedArea(points) {
+            let area = 0;
+            const n = points.length;
+            for (let i = 0; i < n; i++) {
+                const j = (i + 1) % n;
+                area += points[i][0] * points[j][1];
+                area -= points[j][0] * points[i][1];
+            }
+            return area / 2;
+        }
+
+        // Ray casting point-in-polygon test
+        function isPointInside(point, polygon) {
+            const [px, py] = point;
+            let inside = false;
+            for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+                const [xi, yi] = polygon[i];
+                const [xj, yj] = polygon[j];
+                if ((yi > py) !== (yj > py) &&
+                    px < (xj - xi) * (py - yi) / (yj - yi) + xi) {
+                    inside = !inside;
+                }
+            }
+            return inside;
+        }
+
+        // Parse segments from a sub-path (for reversal)
+        function parseSegments(subPath) {
+            const segments = [];
+            let startPoint = null;
+            let currentPoint = null;
+            tokenizePathData(subPath).forEach(({ cmd, args }) => {
+                switch (cmd) {
+                    case 'M':
+                        startPoint = [args[0], args[1]];
+                        currentPoint = [args[0], args[1]];
+                        break;
+                    case 'L':
+                        segments.push({ cmd: 'L', from: [...currentPoint], to: [args[0], args[1]] });
+                        currentPoint = [args[0], args[1]];
+                        break;
+                    case 'C':
+                        segments.push({ cmd: 'C', from: [...currentPoint], cp1: [args[0], args[1]], cp2: [args[2], args[3]], to: [args[4], args[5]] });
+                        currentPoint = [args[4], args[5]];
+                        break;
+                    case 'Q':
+                        segments.push({ cmd: 'Q', from: [...currentPoint], cp: [args[0], args[1]], to: [args[2], args[3]] });
+                        currentPoint = [args[2], args[3]];
+                        break;
+                    case 'A': {
+                        const [rx, ry, angle, largeArc, sweep, x, y] = args;
+                        segments.push({ cmd: 'A', from: [...currentPoint], rx, ry, angle, largeArc, sweep, to: [x, y] });
+                        currentPoint = [x, y];
+                        break;
+                    }
+                }
+            });
+            return { startPoint, segments };
+        }
+
+        // Reverse a sub-path's winding direction
+        function reverseSubPath(subPath) {
+            const { startPoint, segments } = parseSegments(subPath);
+            if (segments.length === 0) return subPath;
+
+            const lastPoint = segments[segments.length - 1].to;
+            let result = `M${lastPoint[0]} ${lastPoint[1]}`;
+
+            for (let i = segments.length - 1; i >= 0; i--) {
+                const seg = segments[i];
+                switch (seg.cmd) {
+                    case 'L':
+                        result += ` L${seg.from[0]} ${seg.from[1]}`;
+                        break;
+                    case 'C':
+                        // Reverse cubic: swap control points
+                        result += ` C${seg.cp2[0]} ${seg.cp2[1]} ${seg.cp1[0]} ${seg.cp1[1]} ${seg.from[0]} ${seg.from[1]}`;
+                        break;
+                    case 'Q':
+                        // Reverse quadratic: control point stays the same
+                        result += ` Q${seg.cp[0]} ${seg.cp[1]} ${seg.from[0]} ${seg.from[1]}`;
+                        break;
+                    case 'A':
+                        // Reverse arc: flip sweep flag
+                        result += ` A${seg.rx} ${seg.ry} ${seg.angle} ${seg.largeArc} ${1 - seg.sweep} ${seg.from[0]} ${seg.from[1]}`;
+                        break;
+                }
+            }
+            result += ' Z';
+            return result;
+        }
+
+        evenOddPaths.forEach(pathEl => {
+            const d = pathEl.getAttribute('d');
+            if (!d) return;
+
+            // Split into sub-paths at each M command
+            const rawSubPaths = d.split(/(?=M)/).map(s => s.trim()).filter(s => s.length > 0);
+            if (rawSubPaths.length <= 1) return; // Single sub-path, no conversion needed
+
+            // Analyze each sub-path
+            const subPathData = rawSubPaths.map((sp, idx) => {
+                const points = extractEndpoints(sp);
+                // Compute centroid of unique points (exclude closing duplicate)
+                // Centroid is more reliably interior than startPoint, which can fall
+                // near polygon edges where the approximation is weakest (Bug #4).
+                const unique = points.filter((p, i) =>
+                    i === 0 || p[0] !== points[i - 1][0] || p[1] !== points[i - 1][1]);
+                const n = unique.length || 1;
+                const centroid = [
+                    unique.reduce((s, p) => s + p[0], 0) / n,
+                    unique.reduce((s, p) => s + p[1], 0) / n
+                ];
+                return {
+                    raw: sp,
+                    points: points,
+                    area: signedArea(points),
+                    centroid: centroid,
+                    origIdx: idx
+                };
+            });
+
+            // Determine nesting level using area-ranked containment.
+            // The sub-path with the largest absolute area is the outermost (level 0).
+            // For each sub-path, count how many LARGER sub-paths contain its centroid.
+            // Uses centroid (not startPoint) because it's more reliably inside the shape,
+            // and less likely to fall in corners cut off by polygon approximation.
+            const byArea = [...subPathData].sort((a, b) => Math.abs(b.area) - Math.abs(a.area));
+            byArea.forEach((sp, rank) => {
+                let level = 0;
+                for (let j = 0; j < rank; j++) { // Only check sub-paths with larger area
+                    if (isPointInside(sp.centroid, byArea[j].points)) {
+                        level++;
+                    }
+                }
+                sp.nestingLevel = level;
+            });
+
+            // Reference direction from the outermost sub-path (largest area = rank 0)
+            const outer = byArea[0];
+            const outerSign = outer.area >= 0 ? 1 : -1;
+
+            // Correct winding directions based on nesting level
+            const correctedParts = subPathData.map(sp => {
+                const expectedSign = (sp.nestingLevel % 2 === 0) ? outerSign : -outerSign;
+                const currentSign = sp.area >= 0 ? 1 : -1;
+
+                if (currentSign !== expectedSign) {
+                    return reverseSubPath(sp.raw);
+                }
+                return sp.raw;
+            });
+
+            // Update the path: corrected winding + nonzero fill-rule (default)
+            pathEl.setAttribute('d', correctedParts.join(' '));
+            pathEl.removeAttribute('fill-rule');
+            pathEl.removeAttribute('clip-rule');
+        });
+    }
+
+    /**
+     * Process SVG for FileMaker compatibility
+     * - Adds fm_fill class
+     * - Removes hardcoded fills (except fill="none")
+     * - Converts primitive shapes and <use> references to paths (shapesToPaths)
+     * - Normalizes path commands
+     * - Converts evenodd compound paths to nonzero fill-rule
+     * - Flattens gradients, patterns and opacity to solid fills (gradientMode 'flatten')
+     * - Ensures viewBox is present
+     * - Strips units from width/height
+     */
+    function processSVGForFileMaker(svg, options) {
+        // Resolve any remaining CSS <style> rules into presentation attributes
+        resolveStyleRules(svg);
+
+        if (options.gradientMode === 'flatten') {
+            flattenPaintServers(svg);
+        }
+
+        // Add fm_fill class for FileMaker dynamic coloring
+        const existingClass = svg.getAttribute('class') || '';
+        if (!existingClass.includes('fm_fill')) {
+            svg.setAttribute('class', (existingClass + ' fm_fill').trim());
+        }
+
+        // Detect if this is a stroke-based (outline) icon
+        // These have fill="none" on root with stroke for drawing — must preserve fill="none"
+        const isOverlaySVG = svg.getAttribute('data-overlay') === '1';
+        const isStrokeBased = !isOverlaySVG && isStrokeBasedSVG(svg);
+
+        if (isOverlaySVG) {
+            // Overlay/composite SVGs may mix fill-based and stroke-based layers.
+            // Use fill="currentColor" on root; stroke elements keep explicit stroke values.
+            svg.setAttribute('fill', 'currentColor');
+            svg.removeAttribute('data-overlay');
+        } else if (isStrokeBased) {
+            // For stroke-based icons: keep fill="none" on root, set stroke="currentColor"
+            // FM will control the stroke color via fm_fill class
+            svg.setAttribute('fill', 'none');
+            svg.setAttribute('stroke', 'currentColor');
+        } else {
+            // For fill-based icons: set fill on SVG element - FM will override, children inherit
+            svg.setAttribute('fill', 'currentColor');
+        }
+
+        // Ensure viewBox
+        let vbW = 24, vbH = 24;
+        if (!svg.getAttribute('viewBox')) {
+            vbW = parseFloat(svg.getAttribute('width')) || 24;
+            vbH = parseFloat(svg.getAttribute('height')) || 24;
+            svg.setAttribute('viewBox', `0 0 ${vbW} ${vbH}`);
+        } else {
+            // Parse viewBox to get dimensions
+            const vb = svg.getAttribute('viewBox').split(/\s+/);
+            if (vb.length >= 4) {
+                vbW = parseFloat(vb[2]) || 24;
+                vbH = parseFloat(vb[3]) || 24;
+            }
+        }
+
+        // Ensure width and height are set (required by FileMaker)
+        if (!svg.getAttribute('width')) {
+            svg.setAttribute('width', vbW);
+        } else {
+            svg.setAttribute('width', parseFloat(svg.getAttribute('width')) || vbW);
+        }
+        if (!svg.getAttribute('height')) {
+            svg.setAttribute('height', vbH);
+        } else {
+            svg.setAttribute('height', parseFloat(svg.getAttribute('height')) || vbH);
+        }
+
+        // Remove invisible elements that FileMaker would render as visible
+        // (FM doesn't support opacity attribute, so opacity="0" elements appear solid)
+        // Common in SF Symbols and other icon sets as invisible bounding boxes
+        const allElements = svg.querySelectorAll('*');
+        allElements.forEach(el => {
+            if (el.closest('defs') || el.closest('mask') || el.hasAttribute('data-layer-bg')) return;
+            const opacity = el.getAttribute('opacity');
+            if (opacity !== null && parseFloat(opacity) === 0) {
+                el.remove();
+            }
+        });
+
+        // Remove fill-opacity and stroke-opacity attributes (unsupported by FileMaker)
+        // These can cause rendering issues; FM controls color via fm_fill class
+        svg.querySelectorAll('[fill-opacity]').forEach(el => {
+            if (el.closest('defs') || el.closest('mask') || el.hasAttribute('data-layer-bg')) return;
+            el.removeAttribute('fill-opacity');
+        });
+        svg.querySelectorAll('[stroke-opacity]').forEach(el => {
+            if (el.closest('defs') || el.closest('mask') || el.hasAttribute('data-layer-bg')) return;
+            el.removeAttribute('stroke-opacity');
+        });
+
+        // Migrate fill/stroke CSS properties from inline style to XML attributes
+        // FileMaker doesn't handle CSS style attributes - it needs XML attributes
+        // Without this, inline style="fill:none" overrides fill="#000000" attribute (CSS specificity)
+        // which makes stroke-based SVGs (e.g. Inkscape exports) invisible in FM
+        const styledShapes = svg.querySelectorAll('path, circle, rect, ellipse, line, polyline, polygon');
+        styledShapes.forEach(el => {
+            if (el.closest('defs') || el.closest('mask') || el.hasAttribute('data-layer-bg')) return;
+            const styleAttr = el.getAttribute('style');
+            if (!styleAttr) return;
+
+            const propsToMigrate = ['fill', 'stroke', 'stroke-width', 'stroke-linecap',
+                'stroke-linejoin', 'stroke-miterlimit', 'stroke-dasharray',
+                'stroke-opacity', 'fill-opacity'];
+            const remaining = [];
+
+            styleAttr.split(';').forEach(decl => {
+                const colonIdx = decl.indexOf(':');
+                if (colonIdx === -1) return;
+                const name = decl.substring(0, colonIdx).trim();
+                const value = decl.substring(colonIdx + 1).trim();
+
+                if (propsToMigrate.includes(name) && value) {
+                    el.setAttribute(name, value);
+                } else if (decl.trim()) {
+                    remaining.push(decl.trim());
+                }
+            });
+
+            if (remaining.length > 0) {
+                el.setAttribute('style', remaining.join(';'));
+            } else {
+                el.removeAttribute('style');
+            }
+        });
+
+        // Palette icons (see applyPalette) mark the one color FileMaker should control;
+        // when any are marked, every other color stays baked in
+        const hasPaletteMarks = svg.hasAttribute('data-fm-dynamic') || svg.querySelector('[data-fm-dynamic]') !== null;
+        const isPaletteDynamic = (el, prop) => !hasPaletteMarks ||
+            (el.getAttribute('data-fm-dynamic') || '').split(' ').includes(prop);
+
+        // Remove hardcoded fills (except fill="none") - only if dynamic fill is enabled
+        if (options.fmDynamicFill) {
+            const bgElement = svg.querySelector('.fm-background');
+            const iconGroup = svg.querySelector('.fm-icon');
+
+            if (bgElement && iconGroup) {
+                // We have both background and icon - apply based on target
+                if (options.fmDynamicTarget === 'icon') {
+                    // Set icon fills to inherit for FM dynamic styling, keep background fill
+                    // Preserve 'none', 'currentColor', 'inherit' and gradient/pattern references
+                    const iconElements = iconGroup.querySelectorAll('*');
+                    iconElements.forEach(el => {
+                        if (!isPaletteDynamic(el, 'fill')) return;
+                        const fill = el.getAttribute('fill');
+                        if (fill && fill !== 'none' && fill !== 'currentColor' && fill !== 'inherit' && !getPaintServerId(fill)) {
+                            el.setAttribute('fill', 'inherit');
+                        }
+                        if (el.style && el.style.fill && el.style.fill !== 'none' && !getPaintServerId(el.style.fill)) {
+                            el.style.fill = 'inherit';
+                        }
+                    });
+                    // Also check the icon group itself
+                    if (iconGroup.getAttribute('fill') && iconGroup.getAttribute('fill') !== 'none') {
+                        iconGroup.setAttribute('fill', 'inherit');
+                    }
+                } else {
+                    // Set background fill to inherit, keep icon fills
+                    bgElement.setAttribute('fill', 'inherit');
+                }
+            } else {
+                // No background/icon distinction - set fills to inherit for FM dynamic styling
+                // Preserve 'none', 'currentColor', 'inherit' and gradient/pattern references
+                const elements = svg.querySelectorAll('*');
+                elements.forEach(el => {
+                    if (el.closest('defs') || el.closest('mask') || el.hasAttribute('data-layer-bg')) return;
+                    if (!isPaletteDynamic(el, 'fill')) return;
+                    const fill = el.getAttribute('fill');
+                    if (fill && fill !== 'none' && fill !== 'currentColor' && fill !== 'inherit' && !getPaintServerId(fill)) {
+                        el.setAttribute('fill', 'inherit');
+                    }
+                    if (el.style && el.style.fill && el.style.fill !== 'none' && !getPaintServerId(el.style.fill)) {
+                        el.style.fill = 'inherit';
+                    }
+                });
+            }
+        }
+
+        // Handle stroke attributes for FileMaker
+        // For stroke-only elements (fill="none" with stroke), convert them to fill-based for FM
+        // For other elements, add stroke="none" (required by FileMaker)
+        const shapeElements = svg.querySelectorAll('path, circle, rect, ellipse, line, polyline, polygon');
+        shapeElements.forEach(el => {
+            // Skip elements inside <defs> or <mask> (e.g. knockout mask shapes)
+            if (el.closest('defs') || el.closest('mask') || el.hasAttribute('data-layer-bg')) return;
+            const fill = el.getAttribute('fill');
+            const stroke = el.getAttribute('stroke');
+
+            if (fill === 'none' && stroke && stroke !== 'none') {
+                // This is a stroke-only element - for FM dynamic coloring to work,
+                // we need to set stroke so FM can control it
+                if (options.fmDynamicFill && isPaletteDynamic(el, 'stroke') && !getPaintServerId(stroke)) {
+                    // For overlay SVGs, root has fill="currentColor" but no stroke attr,
+                    // so use currentColor explicitly instead of inherit
+                    el.setAttribute('stroke', isOverlaySVG ? 'currentColor' : 'inherit');
+                }
+            } else if (!stroke || stroke === '') {
+                // No stroke defined - add stroke="none" (required by FileMaker)
+                el.setAttribute('stroke', 'none');
+            }
+        });
+
+        // Optionally turn every primitive into a <path> first, so normalization and
+        // winding correction below cover circles, rects, ellipses and <use> copies too
+        if (options.shapesToPaths) {
+            convertShapesToPaths(svg);
+        }
+
+        // Always normalize paths for FileMaker - it requires absolute commands with proper spacing
+        // The normalizePath function now handles arc flag notation correctly
+        const paths = svg.querySelectorAll('path');
+        console.log(`[processSVGForFileMaker] Found ${paths.length} path(s) to normalize`);
+        let normalizedCount = 0;
+        let failedCount = 0;
+        paths.forEach((path, index) => {
+            const d = path.getAttribute('d');
+            if (d) {
+                const originalFirst50 = d.substring(0, 50);
+                try {
+                    const normalized = normalizePath(d);
+                    if (normalized && normalized.length > 0) {
+                        path.setAttribute('d', normalized);
+                        normalizedCount++;
+                        // Check if it actually changed
+                        if (normalized === d) {
+                            console.warn(`Path ${index}: normalization returned identical string`);
+                        }
+                    } else {
+                        console.warn(`Path ${index}: normalization returned empty, keeping original. First 50 chars: "${originalFirst50}"`);
+                        failedCount++;
+                    }
+                } catch (e) {
+                    console.error(`Path ${index}: normalization failed:`, e, `First 50 chars: "${originalFirst50}"`);
+                    failedCount++;
+                    // Keep original path if normalization fails
+                }
+            }
+        });
+        console.log(`[processSVGForFileMaker] Normalized: ${normalizedCount}, Failed: ${failedCount}`);
+
+        // Convert evenodd compound paths to nonzero fill-rule
+        // FileMaker button bars don't support evenodd, causing letter cutouts to disappear
+        // (e.g. Adobe product icons where letters are "holes" in a filled background)
+        convertEvenOddToNonZero(svg);
+
+        // Ensure xmlns
+        if (!svg.getAttribute('xmlns')) {
+            svg.setAttributeNS(XMLNS_NS, 'xmlns', 'http://www.w3.org/2000/svg');
+        }
+
+        // Remove version attribute
+        svg.removeAttribute('version');
+
+        svg.removeAttribute('data-fm-dynamic');
+        svg.querySelectorAll('[data-fm-dynamic]').forEach(el => el.removeAttribute('data-fm-dynamic'));
+
+        return svg;
+    }
+
+    // ============================================
+    // SVG Optimization
+    // ============================================
+
+    // Namespaces design tools keep their own editing state in; nothing in them is drawn
+    const EDITOR_NAMESPACES = [
+        'http://www.inkscape.org/namespaces/inkscape',
+        'http://sodipodi.sourceforge.net/DTD/sodipodi-0.dtd',
+        'http://ns.adobe.com/AdobeIllustrator/10.0/',
+        'http://ns.adobe.com/AdobeSVGViewerExtensions/3.0/',
+        'http://ns.adobe.com/Extensibility/1.0/',
+        'http://ns.adobe.com/Flows/1.0/',
+        'http://ns.adobe.com/Graphs/1.0/',
+        'http://ns.adobe.com/ImageReplacement/1.0/',
+        'http://ns.adobe.com/SaveForWeb/1.0/',
+        'http://ns.adobe.com/Variables/1.0/',
+        'http://www.bohemiancoding.com/sketch/ns',
+        'http://www.serif.com/',
+        'http://www.figma.com/figma/ns'
+    ];
+
+    // Plain-number attributes rounded along with path data
+    const OPTIMIZE_NUMBER_ATTRIBUTES = ['x', 'y', 'width', 'height', 'rx', 'ry', 'r', 'cx', 'cy',
+        'x1', 'y1', 'x2', 'y2', 'stroke-width'];
+
+    /**
+     * Shrink an exported SVG without changing what it draws:
+     * - Removes comments, <metadata>, editor namespaces (Inkscape, Illustrator, Sketch...) and empty groups
+     * - Merges neighbouring paths that share every attribute and don't overlap
+     * - Rounds coordinates to options.optimizePrecision decimal places
+     * - Picks the shorter of relative or absolute form per path segment, except for
+     *   FileMaker output (fmCompatible), which keeps absolute commands
+     * Runs after processSVGForFileMaker.
+     * @param {SVGElement} svg - Modified in place
+     * @param {Object} options - optimizePrecision and fmCompatible
+     * @returns {SVGElement} - The same SVG
+     */
+    function optimizeSVG(svg, options) {
+        const precision = options.optimizePrecision;
+        const allowRelative = !options.fmCompatible;
+
+        // Comments
+        const walker = svg.ownerDocument.createTreeWalker(svg, NodeFilter.SHOW_COMMENT);
+        const comments = [];
+        while (walker.nextNode()) comments.push(walker.currentNode);
+        comments.forEach(node => node.remove());
+
+        // Metadata and editor-only elements and attributes
+        svg.querySelectorAll('metadata').forEach(el => el.remove());
+        [svg, ...svg.querySelectorAll('*')].forEach(el => {
+            if (el !== svg && EDITOR_NAMESPACES.includes(el.namespaceURI)) {
+                el.remove();
+                return;
+            }
+            Array.from(el.attributes).forEach(attr => {
+                if (EDITOR_NAMESPACES.includes(attr.namespaceURI) ||
+                    (attr.name.startsWith('xmlns:') && EDITOR_NAMESPACES.includes(attr.value))) {
+                    el.removeAttributeNode(attr);
+                }
+            });
+        });
+        const usesXlink = [svg, ...svg.querySelectorAll('*')].some(el =>
+            Array.from(el.attributes).some(attr => attr.name.startsWith('xlink:')));
+        if (!usesXlink) svg.removeAttribute('xmlns:xlink');
+
+        // Empty groups, innermost first so emptied parents go too
+        Array.from(svg.querySelectorAll('g, defs')).reverse().forEach(el => {
+            if (el.children.length === 0) el.remove();
+        });
+
+        mergeSameStylePaths(svg);
+
+        // Coordinates
+        const round = value => {
+            const s = String(parseFloat(value.toFixed(precision)));
+            return s === '-0' ? '0' : s;
+        };
+        svg.querySelectorAll('path').forEach(path => {
+            const d = path.getAttribute('d');
+            if (d) path.setAttribute('d', encodePathData(d, precision, allowRelative));
+        });
+        svg.querySelectorAll('polygon, polyline').forEach(el => {
+            const coords = (el.getAttribute('points') || '').trim().split(/[\s,]+/).map(parseFloat);
+            if (coords.some(isNaN)) return;
+            el.setAttribute('points', coords.map(round).join(' '));
+        });
+        [svg, ...svg.querySelectorAll('*')].forEach(el => {
+            OPTIMIZE_NUMBER_ATTRIBUTES.forEach(name => {
+                const value = el.getAttribute(name);
+                if (value !== null && /^\s*[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?\s*$/.test(value)) {
+                    el.setAttribute(name, round(parseFloat(value)));
+                }
+            });
+        });
+
+        return svg;
+    }
+
+    /**
+     * Combine runs of sibling paths with identical attributes into one path.
+     * Paths are only combined when their bounds (grown by any stroke) don't overlap,
+     * since overlapping subpaths in one path can cancel out under either fill rule.
+     * @param {SVGElement} svg - Modified in place
+     * @returns {number} - Number of paths merged away
+     */
+    function mergeSameStylePaths(svg) {
+        let merged = 0;
+
+        function styleKey(path) {
+            return Array.from(path.attributes)
+                .filter(attr => attr.name !== 'd')
+                .map(attr => `${attr.name}=${attr.value}`)
+                .sort()
+                .join(';');
+        }
+
+        function paintedBounds(path) {
+            const box = getPathDataBounds(path.getAttribute('d') || '');
+            if (!box) return null;
+            let grow = 0;
+            if (getEffectivePaint(path, 'stroke') !== 'none') {
+                // Generous enough to cover miter spikes
+                grow = (parseFloat(getPresentationValue(path, 'stroke-width', svg)) || 1) *
+                    Math.max(parseFloat(getPresentationValue(path, 'stroke-miterlimit', svg)) || 4, 1);
+            }
+            return { minX: box.x - grow, minY: box.y - grow, maxX: box.x + box.width + grow, maxY: box.y + box.height + grow };
+        }
+
+        const overlaps = (a, b) => !(a.maxX < b.minX || b.maxX < a.minX || a.maxY < b.minY || b.maxY < a.minY);
+
+        [svg, ...svg.querySelectorAll('g, a')].forEach(parent => {
+            if (parent.closest('defs, clipPath, mask, pattern, marker, symbol')) return;
+
+            const runs = [];
+            let run = null;
+            Array.from(parent.children).forEach(child => {
+                const mergeable = child.localName === 'path' && !child.hasAttribute('id') &&
+                    ['marker-start', 'marker-mid', 'marker-end'].every(prop => {
+                        const value = getPresentationValue(child, prop, svg);
+                        return !value || value === 'none';
+                    });
+                const box = mergeable ? paintedBounds(child) : null;
+                if (!box) {
+                    run = null;
+                    return;
+                }
+                const key = styleKey(child);
+                if (run && run.key === key && run.boxes.every(other => !overlaps(other, box))) {
+                    run.parts.push(child.getAttribute('d'));
+                    run.boxes.push(box);
+                    child.remove();
+                    merged++;
+                } else {
+                    run = { path: child, key: key, boxes: [box], parts: [child.getAttribute('d')] };
+                    runs.push(run);
+                }
+            });
+            runs.forEach(r => {
+                if (r.parts.length > 1) r.path.setAttribute('d', r.parts.map(d => normalizePath(d)).join(' '));
+            });
+        });
+        return merged;
+    }
+
+    /**
+     * Re-encode path data with coordinates rounded to a number of decimal places.
+     * Rounding happens on absolute positions, so relative segments don't drift.
+     * @param {string} pathData - Path d attribute (any command form)
+     * @param {number} precision - Decimal places
+     * @param {boolean} allowRelative - Use relative commands, H/V and compact number
+     *   separators where shorter. Off gives FileMaker's absolute, space-separated form.
+     * @returns {string}
+     */
+    function encodePathData(pathData, precision, allowRelative) {
+        const roundTo = (v, places) => Math.round(v * Math.pow(10, places)) / Math.pow(10, places);
+        const round = v => roundTo(v, precision);
+        const format = v => {
+            let s = String(v === 0 ? 0 : v); // no '-0'
+            if (allowRelative) s = s.replace(/^(-?)0\./, '$1.');
+            return s;
+        };
+
+        let previousLetter = '';
+        let lastNumber = '';
+
+        // A segment as written: command letter (left out when it repeats) and its numbers
+        function write(letter, values) {
+            const repeat = allowRelative && letter === previousLetter && letter.toUpperCase() !== 'M';
+            let text = repeat ? '' : letter;
+            let last = repeat ? lastNumber : '';
+            values.forEach(v => {
+                const s = format(v);
+                // A sign, or a second decimal point, already separates numbers
+                const joined = allowRelative && (s[0] === '-' || (s[0] === '.' && last.includes('.')));
+                if (last !== '' && !joined) text += ' ';
+                text += s;
+                last = s;
+            });
+            return { letter, text, last };
+        }
+
+        const out = [];
+        let x = 0, y = 0, startX = 0, startY = 0;
+        let sourceX = 0, sourceY = 0, sourceStartX = 0, sourceStartY = 0; // The same, unrounded
+
+        tokenizePathData(pathData).forEach(({ cmd, args }) => {
+            if (cmd === 'Z') {
+                out.push('Z');
+                previousLetter = 'Z';
+                lastNumber = '';
+                x = startX;
+                y = startY;
+                sourceX = sourceStartX;
+                sourceY = sourceStartY;
+                return;
+            }
+
+            // An arc whose end point rounds onto its start would vanish (renderers skip arcs with
+            // coincident end points), so its end point keeps extra decimals until they differ
+            let places = precision;
+            const endArgX = args[args.length - 2], endArgY = args[args.length - 1];
+            if (cmd === 'A' && (endArgX !== sourceX || endArgY !== sourceY)) {
+                while (places < 12 && roundTo(endArgX, places) === x && roundTo(endArgY, places) === y) places++;
+            }
+            const roundPoint = v => roundTo(v, places);
+
+            // Rounded absolute points (the end point last), and the same relative to the current point
+            const points = [];
+            for (let k = cmd === 'A' ? 5 : 0; k < args.length; k += 2) points.push(roundPoint(args[k]), roundPoint(args[k + 1]));
+            const relative = points.map((v, k) => roundPoint(v - (k % 2 === 0 ? x : y)));
+            const endX = points[points.length - 2], endY = points[points.length - 1];
+            const arcPrefix = cmd === 'A'
+                ? [round(Math.abs(args[0])), round(Math.abs(args[1])), round(args[2]), args[3] ? 1 : 0, args[4] ? 1 : 0]
+                : [];
+
+            const candidates = [write(cmd, arcPrefix.concat(points))];
+            if (allowRelative) {
+                candidates.push(write(cmd.toLowerCase(), arcPrefix.concat(relative)));
+                if (cmd === 'L' && endY === y) candidates.push(write('H', [endX]), write('h', [relative[0]]));
+                if (cmd === 'L' && endX === x) candidates.push(write('V', [endY]), write('v', [relative[1]]));
+            }
+            const best = candidates.reduce((a, b) => b.text.length < a.text.length ? b : a);
+            out.push(best.text);
+            previousLetter = best.letter;
+            lastNumber = best.last;
+
+            x = endX;
+            y = endY;
+            sourceX = endArgX;
+            sourceY = endArgY;
+            if (cmd === 'M') {
+                startX = x;
+                startY = y;
+                sourceStartX = sourceX;
+                sourceStartY = sourceY;
+            }
+        });
+        return out.join(allowRelative ? '' : ' ');
+    }
+
+    // ============================================
+    // Export Validation Report
+    // ============================================
+
+    // Elements FileMaker doesn't render (or renders unreliably) in SVG icons
+    const FM_UNSUPPORTED_ELEMENTS = ['linearGradient', 'radialGradient', 'pattern', 'image', 'text', 'filter', 'mask', 'foreignObject'];
+
+    /**
+     * Start a validation entry for one exported file
+     * @param {string} filename - Output filename
+     * @returns {Object} - Entry filled in and finished by exportIconSVG
+     */
+    function createValidationEntry(filename) {
+        return {
+            filename: filename,
+            steps: [],
+            strokeConversion: 'not needed',   // 'not needed', 'succeeded' or 'failed'
+            strokeConversionMethod: null,     // 'geometric' or 'trace' once attempted
+            strokeConversionError: null,
+            pathsNormalized: null,            // null when FileMaker processing is off
+            gradients: null,                  // 'preserved' or 'flattened' when the icon uses gradients or patterns
+            unsupported: [],
+            issues: [],
+            fmSafe: false
+        };
+    }
+
+    /**
+     * List the FileMaker-unsupported element types in an SVG (each name once)
+     * @param {SVGElement} svg
+     * @returns {string[]}
+     */
+    function findUnsupportedElements(svg) {
+        const found = [];
+        svg.querySelectorAll('*').forEach(el => {
+            if (FM_UNSUPPORTED_ELEMENTS.includes(el.localName) && !found.includes(el.localName)) {
+                found.push(el.localName);
+            }
+        });
+        return found;
+    }
+
+    /**
+     * Count the paths whose data still uses relative commands (m, l, h, v, c, s, q, t, a).
+     * A lowercase z closes a subpath the same way Z does, so it doesn't count.
+     * @param {SVGElement} svg
+     * @returns {number}
+     */
+    function countRelativePaths(svg) {
+        return Array.from(svg.querySelectorAll('path'))
+            .filter(path => /[mlhvcsqta]/.test(path.getAttribute('d') || '')).length;
+    }
+
+    /**
+     * Inspect the exported SVG and decide the FileMaker-safe verdict for an entry
+     * @param {Object} entry - From createValidationEntry
+     * @param {SVGElement} finalSVG - The SVG as it will be saved
+     */
+    function finalizeValidationEntry(entry, finalSVG) {
+        entry.unsupported = findUnsupportedElements(finalSVG);
+
+        // Processing being off is reported once for the batch, by buildValidationReport
+        if (entry.pathsNormalized === false) {
+            entry.issues.push('Some paths still use relative commands');
+        }
+        if (entry.strokeConversion === 'failed') {
+            entry.issues.push('Stroke conversion failed: ' + entry.strokeConversionError + '. The stroked original was saved');
+        }
+        if (entry.unsupported.length > 0) {
+            entry.issues.push('Unsupported elements: ' + entry.unsupported.map(name => '<' + name + '>').join(', '));
+        }
+        entry.fmSafe = entry.issues.length === 0;
+    }
+
+    /**
+     * Build the report for a batch of validation entries
+     * @param {Object[]} entries
+     * @returns {Object} - {fmSafe, notes, files}: notes are batch-wide remarks, such as
+     *   FileMaker processing being off, which also leave fmSafe false
+     */
+    function buildValidationReport(entries) {
+        const notes = [];
+        if (entries.some(entry => entry.pathsNormalized === null)) {
+            notes.push('FileMaker compatibility processing was off');
+        }
+        return {
+            fmSafe: notes.length === 0 && entries.every(entry => entry.fmSafe),
+            notes: notes,
+            files: entries
+        };
+    }
+
+    // ============================================
+    // Processing API (no editor state)
+    // ============================================
+
+    // Starting values for processSVGString() options — the same as a fresh editor
+    const PROCESS_DEFAULTS = {
+        rotation: 0,
+        flipH: false,
+        flipV: false,
+        opacity: 100,               // Icon opacity (0-100%)
+        scale: 100,                 // Icon scale (50-150%)
+        offsetX: 0,                 // X offset (-50 to +50% of viewBox)
+        offsetY: 0,                 // Y offset (-50 to +50% of viewBox)
+        fillColor: '#000000',
+        colorMode: 'single',        // 'single' (fillColor repaints everything) or 'palette' (per-color remapping)
+        paletteMap: {},             // Palette mode: detected #rrggbb -> replacement color
+        fmDynamicColor: '',         // Palette mode: detected color FileMaker recolors ('' = all baked in)
+        strokeColor: '#000000',
+        strokeWidth: 0,
+        bgEnabled: false,
+        bgColor: '#ffffff',
+        bgEdges: 4,
+        bgShape: 'polygon',         // 'polygon' (bgEdges) or a library shape - see BG_SHAPES
+        bgStarPoints: 5,
+        bgStarInner: 50,            // Star inner radius, % of the outer
+        bgBorderWidth: 0,           // % of the background size (0 = no border)
+        bgBorderColor: '#000000',
+        bgGradient: 'none',         // 'none', 'linear' or 'radial' (bgColor to bgGradientColor)
+        bgGradientColor: '#000000',
+        bgGradientAngle: 90,        // Degrees, 0 = left to right, 90 = top to bottom
+        bgShadow: false,
+        bgShadowColor: '#000000',
+        bgShadowOpacity: 30,
+        bgShadowBlur: 6,            // Shadow softness, % of the background size
+        bgShadowOffset: 3,          // Shadow drop below the shape, % of the background size
+        iconPadding: 10,
+        cornerRadius: 10,
+        fmCompatible: true,         // Apply FileMaker compatibility processing
+        fmDynamicFill: true,        // Remove fills for FileMaker dynamic styling (vs baked-in color)
+        fmDynamicTarget: 'icon',    // Which element FM controls: 'icon' or 'background'
+        gradientMode: 'preserve',   // FileMaker output: 'preserve' gradients/patterns or 'flatten' them to solid fills
+        shapesToPaths: false,       // FileMaker output: convert circles, rects, <use> etc. to <path> before normalizing
+        bakeTransforms: false,      // Apply every transform to the path coordinates instead of <g transform> wrappers
+        optimize: false,            // SVG output: run optimizeSVG after FileMaker processing
+        optimizePrecision: 3        // Decimal places kept by the optimizer
+    };
+
+    // A fresh editor's settings: the processing defaults plus the export options readEditorConfig()
+    // reads. The editor's state and the command line export both start from these.
+    const EDITOR_DEFAULTS = Object.assign({}, PROCESS_DEFAULTS, {
+        svgSprite: false,           // SVG output: save all icons as <symbol>s in one sprite with an HTML preview
+        convertStrokesToFills: true, // Convert stroke SVGs to filled paths on export
+        strokeConversionMethod: 'trace' // 'trace' (Potrace) or 'geometric' (vector outlining, opt-in)
+    });
+
+    /**
+     * Parse an icon the way the editor loads it, resolving <style> rules into presentation
+     * attributes so fill and stroke settings reach class-styled shapes
+     * @param {string} svgString - Raw SVG markup
+     * @param {boolean} resolveStyles - false leaves <style> rules for export time (library icons)
+     * @returns {SVGElement|null} - null when the markup isn't a valid SVG
+     */
+    function parseIconSVG(svgString, resolveStyles = true) {
+        const doc = new DOMParser().parseFromString(svgString, 'image/svg+xml');
+        const svg = doc.querySelector('svg');
+        if (doc.querySelector('parsererror') || !svg) return null;
+        if (resolveStyles) resolveStyleRules(svg);
+        return svg;
+    }
+
+    /**
+     * Export one icon as the editor saves it: the stroke conversion result swapped in,
+     * colors/transforms/background, baked transforms, FileMaker processing and
+     * optimization, with every step recorded in a validation entry
+     * @param {SVGElement} sourceSvg - The loaded icon (left unmodified)
+     * @param {Object} settings - The icon's own settings (see renderIconSVG)
+     * @param {Object} options - bakeTransforms, fmCompatible, fmDynamicFill, fmDynamicTarget, gradientMode, shapesToPaths, optimize, optimizePrecision
+     * @param {Object} entry - From createValidationEntry; filled in and finalized
+     * @param {Object} conversion - Stroke conversion result ({svg, success, error, method, fallbackReason}), if the icon had one
+     * @returns {string} - Exported SVG markup
+     */
+    function exportIconSVG(sourceSvg, settings, options, entry, conversion) {
+        let source = sourceSvg;
+        if (conversion) {
+            entry.steps.push('stroke conversion starting (on raw icon)');
+            entry.strokeConversionMethod = conversion.method;
+            if (conversion.fallbackReason) {
+                entry.steps.push('geometric outline unavailable (' + conversion.fallbackReason + '), tracing instead');
+            }
+            if (conversion.success) {
+                entry.strokeConversion = 'succeeded';
+                entry.steps.push('stroke conversion succeeded (' + conversion.method + ')');
+                const converted = new DOMParser().parseFromString(conversion.svg, 'image/svg+xml').querySelector('svg');
+                if (converted) source = converted;
+            } else {
+                entry.strokeConversion = 'failed';
+                entry.strokeConversionError = conversion.error;
+                entry.steps.push('stroke conversion failed');
+            }
+        }
+
+        // Adds background, transforms, etc.
+        let finalSVG = renderIconSVG(source, settings);
+        if (options.bakeTransforms) {
+            bakeTransforms(finalSVG);
+        }
+        entry.steps.push('generateFinalSVG complete');
+        if (options.bakeTransforms) {
+            const keptTransforms = finalSVG.querySelectorAll('[transform]').length;
+            entry.steps.push(keptTransforms > 0
+                ? `transforms baked into paths (${keptTransforms} kept a transform)`
+                : 'transforms baked into paths');
+        }
+
+        const usesPaintServers = countPaintServerReferences(finalSVG) > 0;
+        if (usesPaintServers) entry.gradients = 'preserved';
+
+        // FileMaker compatibility processing runs in both FileMaker and browser mode when enabled
+        if (options.fmCompatible) {
+            entry.steps.push('processSVGForFileMaker starting');
+            finalSVG = processSVGForFileMaker(finalSVG, options);
+            entry.steps.push('processSVGForFileMaker complete');
+            if (usesPaintServers && options.gradientMode === 'flatten') entry.gradients = 'flattened';
+            if (options.shapesToPaths) entry.steps.push('shapes converted to paths');
+            entry.steps.push('re-serialized');
+
+            // Check if paths were normalized (every path's data in absolute commands)
+            const relativePaths = countRelativePaths(finalSVG);
+            entry.pathsNormalized = relativePaths === 0;
+            entry.steps.push(relativePaths > 0
+                ? `path normalization incomplete (${relativePaths} path${relativePaths === 1 ? '' : 's'} with relative commands)`
+                : 'paths normalized');
+        }
+        if (entry.gradients) {
+            entry.steps.push(entry.gradients === 'flattened' ? 'gradients flattened to solid fills' : 'gradients preserved');
+        }
+
+        if (options.optimize) {
+            optimizeSVG(finalSVG, options);
+            entry.steps.push(`optimized (${options.optimizePrecision} decimal places)`);
+        }
+
+        finalizeValidationEntry(entry, finalSVG);
+        return new XMLSerializer().serializeToString(finalSVG);
+    }
+
+    /**
+     * Run an SVG string through the export pipeline without touching the editor:
+     * CSS rule resolution, colors/transforms/background (baked into the paths when
+     * bakeTransforms is on), then FileMaker processing when fmCompatible is on and
+     * size optimization when optimize is on. Stroke-to-fill conversion is not part of this -
+     * outline the markup with outlineStrokeToFill first.
+     * @param {string} svgString - Raw SVG markup
+     * @param {Object} options - Any ITEM_SETTING_KEYS value plus fmCompatible, fmDynamicFill, fmDynamicTarget, gradientMode, shapesToPaths, bakeTransforms, optimize, optimizePrecision
+     * @returns {string} - Processed SVG markup
+     */
+    function processSVGString(svgString, options = {}) {
+        const opts = Object.assign({}, PROCESS_DEFAULTS, options);
+        const svg = parseIconSVG(svgString);
+        if (!svg) {
+            throw new Error('Invalid SVG data');
+        }
+        return exportIconSVG(svg, opts, opts, createValidationEntry(''));
+    }
+
+    // ============================================
+    // Editor Config
+    // ============================================
+
+    /**
+     * Apply the processing keys of an initEditor() config (fill_color, bg_shape, fm_compatible,
+     * optimize, convert_strokes...) to a settings object. Values out of range are ignored.
+     * @param {Object} cfg - Parsed initEditor() config
+     * @param {Object} settings - Editor state or processSVGString() options, modified in place
+     * @returns {Object} - The same settings
+     */
+    function readEditorConfig(cfg, settings) {
+        // Colors
+        if (cfg.fill_color !== undefined) {
+            const c = normalizeHex(String(cfg.fill_color));
+            if (isValidColor(c)) settings.fillColor = c;
+        }
+        if (cfg.color_mode !== undefined) {
+            if (cfg.color_mode === 'single' || cfg.color_mode === 'palette') settings.colorMode = cfg.color_mode;
+        }
+        if (cfg.palette !== undefined && cfg.palette && typeof cfg.palette === 'object') {
+            // {"#000000": "#1e3a8a", ...} - detected color to replacement
+            const map = {};
+            Object.keys(cfg.palette).forEach(source => {
+                const from = normalizeColorValue(normalizeHex(String(source)));
+                const to = normalizeHex(String(cfg.palette[source]));
+                if (from && isValidColor(to)) map[from] = to;
+            });
+            settings.paletteMap = map;
+        }
+        if (cfg.fm_dynamic_color !== undefined) {
+            settings.fmDynamicColor = normalizeColorValue(normalizeHex(String(cfg.fm_dynamic_color))) || '';
+        }
+        if (cfg.stroke_color !== undefined) {
+            const c = normalizeHex(String(cfg.stroke_color));
+            if (isValidColor(c)) settings.strokeColor = c;
+        }
+        if (cfg.stroke_width !== undefined) {
+            const w = Number(cfg.stroke_width);
+            if (!isNaN(w) && w >= 0 && w <= 10) settings.strokeWidth = w;
+        }
+
+        // Opacity, scale, offsets
+        if (cfg.opacity !== undefined) {
+            const v = Number(cfg.opacity);
+            if (!isNaN(v) && v >= 0 && v <= 100) settings.opacity = v;
+        }
+        if (cfg.scale !== undefined) {
+            const v = Number(cfg.scale);
+            if (!isNaN(v) && v >= 50 && v <= 150) settings.scale = v;
+        }
+        if (cfg.offset_x !== undefined) {
+            const v = Number(cfg.offset_x);
+            if (!isNaN(v) && v >= -50 && v <= 50) settings.offsetX = v;
+        }
+        if (cfg.offset_y !== undefined) {
+            const v = Number(cfg.offset_y);
+            if (!isNaN(v) && v >= -50 && v <= 50) settings.offsetY = v;
+        }
+
+        // Rotation & transforms
+        if (cfg.rotation !== undefined) {
+            const v = Number(cfg.rotation);
+            if (!isNaN(v)) settings.rotation = ((v % 360) + 360) % 360;
+        }
+        if (cfg.rotation_increment !== undefined) {
+            const valid = [15, 30, 45, 90];
+            const v = Number(cfg.rotation_increment);
+            if (valid.includes(v)) settings.rotationIncrement = v;
+        }
+        if (cfg.flip_h !== undefined) settings.flipH = !!cfg.flip_h;
+        if (cfg.flip_v !== undefined) settings.flipV = !!cfg.flip_v;
+
+        // Background
+        if (cfg.bg_enabled !== undefined) settings.bgEnabled = !!cfg.bg_enabled;
+        if (cfg.bg_color !== undefined) {
+            const c = normalizeHex(String(cfg.bg_color));
+            if (isValidColor(c)) settings.bgColor = c;
+        }
+        if (cfg.bg_edges !== undefined) {
+            const v = Number(cfg.bg_edges);
+            if (v === 0 || (Number.isInteger(v) && v >= 3 && v <= 10)) settings.bgEdges = v;
+        }
+        if (cfg.bg_shape !== undefined) {
+            // 'circle' and 'square' are shorthands for polygon edges 0 and 4
+            const v = String(cfg.bg_shape).toLowerCase();
+            if (v === 'circle' || v === 'square') {
+                settings.bgShape = 'polygon';
+                settings.bgEdges = v === 'circle' ? 0 : 4;
+            } else if (BG_SHAPES.includes(v)) {
+                settings.bgShape = v;
+            }
+        }
+        if (cfg.bg_star_points !== undefined) {
+            const v = Number(cfg.bg_star_points);
+            if (Number.isInteger(v) && v >= 3 && v <= 12) settings.bgStarPoints = v;
+        }
+        if (cfg.bg_star_inner !== undefined) {
+            const v = Number(cfg.bg_star_inner);
+            if (!isNaN(v) && v >= 10 && v <= 90) settings.bgStarInner = v;
+        }
+        if (cfg.bg_border_width !== undefined) {
+            const v = Number(cfg.bg_border_width);
+            if (!isNaN(v) && v >= 0 && v <= 10) settings.bgBorderWidth = v;
+        }
+        if (cfg.bg_border_color !== undefined) {
+            const c = normalizeHex(String(cfg.bg_border_color));
+            if (isValidColor(c)) settings.bgBorderColor = c;
+        }
+        if (cfg.bg_gradient !== undefined) {
+            const v = String(cfg.bg_gradient).toLowerCase();
+            if (['none', 'linear', 'radial'].includes(v)) settings.bgGradient = v;
+        }
+        if (cfg.bg_gradient_color !== undefined) {
+            const c = normalizeHex(String(cfg.bg_gradient_color));
+            if (isValidColor(c)) settings.bgGradientColor = c;
+        }
+        if (cfg.bg_gradient_angle !== undefined) {
+            const v = Number(cfg.bg_gradient_angle);
+            if (!isNaN(v) && v >= 0 && v <= 360) settings.bgGradientAngle = v;
+        }
+        if (cfg.bg_shadow !== undefined) settings.bgShadow = !!cfg.bg_shadow;
+        if (cfg.bg_shadow_color !== undefined) {
+            const c = normalizeHex(String(cfg.bg_shadow_color));
+            if (isValidColor(c)) settings.bgShadowColor = c;
+        }
+        if (cfg.bg_shadow_opacity !== undefined) {
+            const v = Number(cfg.bg_shadow_opacity);
+            if (!isNaN(v) && v >= 0 && v <= 100) settings.bgShadowOpacity = v;
+        }
+        if (cfg.bg_shadow_blur !== undefined) {
+            const v = Number(cfg.bg_shadow_blur);
+            if (!isNaN(v) && v >= 0 && v <= 20) settings.bgShadowBlur = v;
+        }
+        if (cfg.bg_shadow_offset !== undefined) {
+            const v = Number(cfg.bg_shadow_offset);
+            if (!isNaN(v) && v >= 0 && v <= 20) settings.bgShadowOffset = v;
+        }
+        if (cfg.icon_padding !== undefined) {
+            const v = Number(cfg.icon_padding);
+            if (!isNaN(v) && v >= 0 && v <= 30) settings.iconPadding = v;
+        }
+        if (cfg.corner_radius !== undefined) {
+            const v = Number(cfg.corner_radius);
+            if (!isNaN(v) && v >= 0 && v <= 50) settings.cornerRadius = v;
+        }
+
+        // FileMaker compatibility
+        if (cfg.fm_compatible !== undefined) settings.fmCompatible = !!cfg.fm_compatible;
+        if (cfg.fm_dynamic_fill !== undefined) settings.fmDynamicFill = !!cfg.fm_dynamic_fill;
+        if (cfg.fm_dynamic_target !== undefined) {
+            if (cfg.fm_dynamic_target === 'icon' || cfg.fm_dynamic_target === 'background') {
+                settings.fmDynamicTarget = cfg.fm_dynamic_target;
+            }
+        }
+        if (cfg.gradient_mode === 'preserve' || cfg.gradient_mode === 'flatten') settings.gradientMode = cfg.gradient_mode;
+        if (cfg.shapes_to_paths !== undefined) settings.shapesToPaths = !!cfg.shapes_to_paths;
+        if (cfg.bake_transforms !== undefined) settings.bakeTransforms = !!cfg.bake_transforms;
+        if (cfg.svg_sprite !== undefined) settings.svgSprite = !!cfg.svg_sprite;
+        if (cfg.optimize !== undefined) settings.optimize = !!cfg.optimize;
+        if (cfg.optimize_precision !== undefined) {
+            const precision = parseInt(cfg.optimize_precision, 10);
+            if (!isNaN(precision)) settings.optimizePrecision = Math.max(0, Math.min(6, precision));
+        }
+
+        // Stroke conversion
+        if (cfg.convert_strokes !== undefined) settings.convertStrokesToFills = !!cfg.convert_strokes;
+        if (cfg.stroke_method === 'geometric' || cfg.stroke_method === 'trace') settings.strokeConversionMethod = cfg.stroke_method;
+        return settings;
+    }
+
+    // ============================================
+    // SVG Sprite
+    // ============================================
+
+    const SPRITE_FILENAME = 'elemental_svg_sprite';
+
+    /**
+     * Symbol id for an icon file name: lowercase letters, digits and dashes, starting with
+     * a letter, with -2, -3... appended when an earlier symbol already has it
+     * @param {Set<string>} used - Ids taken so far (the new id is added)
+     */
+    function spriteSymbolId(filename, used) {
+        let base = filename.replace(/\.svg$/i, '').toLowerCase()
+            .replace(/[^a-z0-9_-]+/g, '-').replace(/-{2,}/g, '-').replace(/^-+|-+$/g, '');
+        if (!base) base = 'icon';
+        if (!/^[a-z]/.test(base)) base = 'icon-' + base;
+        let id = base;
+        for (let n = 2; used.has(id); n++) id = `${base}-${n}`;
+        used.add(id);
+        return id;
+    }
+
+    /**
+     * Prefix every id inside an SVG and the references to it (url(#id), href="#id" and
+     * #id in <style> rules), so several icons can share one document
+     * @param {Element} root - Modified in place
+     */
+    function prefixSvgIds(root, prefix) {
+        const renamed = new Map();
+        root.querySelectorAll('[id]').forEach(el => {
+            const id = el.getAttribute('id');
+            renamed.set(id, `${prefix}-${id}`);
+            el.setAttribute('id', renamed.get(id));
+        });
+        if (renamed.size === 0) return;
+
+        const rewriteUrls = value => value.replace(/url\(\s*(['"]?)#([^'")]+)\1\s*\)/g,
+            (match, quote, id) => renamed.has(id) ? `url(#${renamed.get(id)})` : match);
+        [root, ...root.querySelectorAll('*')].forEach(el => {
+            Array.from(el.attributes).forEach(attr => {
+                let value = attr.value;
+                if (attr.localName === 'href' && value.startsWith('#') && renamed.has(value.slice(1))) {
+                    value = '#' + renamed.get(value.slice(1));
+                } else if (value.includes('url(')) {
+                    value = rewriteUrls(value);
+                }
+                if (value !== attr.value) el.setAttributeNS(attr.namespaceURI, attr.name, value);
+            });
+        });
+        root.querySelectorAll('style').forEach(style => {
+            style.textContent = rewriteUrls(style.textContent).replace(/#([A-Za-z_][\w-]*)/g,
+                (match, id) => renamed.has(id) ? '#' + renamed.get(id) : match);
+        });
+    }
+
+    /**
+     * Combine processed icons into one sprite of <symbol>s, one per icon, with an HTML
+     * page previewing each symbol and the <use> snippet for it. Symbol ids come from the
+     * file names; ids inside each icon are prefixed with its symbol id so gradients and
+     * clip paths of different icons can't collide.
+     * @param {Array<{filename: string, svgString: string}>} items - Icons after export processing
+     * @returns {{svg: string, html: string, symbols: Array<{id: string, filename: string}>}}
+     */
+    function buildSvgSprite(items) {
+        const NS = 'http://www.w3.org/2000/svg';
+        const sprite = document.createElementNS(NS, 'svg');
+        sprite.setAttributeNS(XMLNS_NS, 'xmlns', NS);
+        const used = new Set();
+        const symbols = [];
+        // Sizing attributes belong to the <svg> that uses a symbol, not the symbol itself
+        const ROOT_ONLY = ['width', 'height', 'x', 'y', 'id', 'version', 'baseProfile', 'viewBox'];
+
+        items.forEach(item => {
+            const doc = new DOMParser().parseFromString(item.svgString, 'image/svg+xml');
+            const svg = doc.querySelector('svg');
+            if (!svg || doc.querySelector('parsererror')) return;
+
+            const id = spriteSymbolId(item.filename, used);
+            prefixSvgIds(svg, id);
+            const symbol = document.createElementNS(NS, 'symbol');
+            symbol.setAttribute('id', id);
+            let viewBox = svg.getAttribute('viewBox');
+            if (!viewBox) {
+                viewBox = `0 0 ${parseFloat(svg.getAttribute('width')) || 24} ${parseFloat(svg.getAttribute('height')) || 24}`;
+            }
+            symbol.setAttribute('viewBox', viewBox);
+            Array.from(svg.attributes).forEach(attr => {
+                if (ROOT_ONLY.includes(attr.name) || attr.name === 'xmlns' || attr.name.startsWith('xmlns:')) return;
+                symbol.setAttributeNS(attr.namespaceURI, attr.name, attr.value);
+            });
+            Array.from(svg.childNodes).forEach(node => symbol.appendChild(document.importNode(node, true)));
+            sprite.appendChild(symbol);
+            symbols.push({ id: id, filename: item.filename });
+        });
+
+        const svgString = new XMLSerializer().serializeToString(sprite);
+        const cards = symbols.map(symbol => {
+            const snippet = `<svg class="icon"><use href="${SPRITE_FILENAME}.svg#${symbol.id}"></use></svg>`;
+            return `<figure>
+  <svg class="icon"><use href="#${symbol.id}"></use></svg>
+  <figcaption>${escapeHTML(symbol.id)}</figcaption>
+  <code>${escapeHTML(snippet)}</code>
+</figure>`;
+        });
+        // The sprite is inlined so the preview works when opened from disk, where browsers
+        // block <use> references to other files. It is kept in the layout (not display: none)
+        // because gradients inside a hidden subtree don't paint.
+        const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>SVG Sprite - ${symbols.length} icon${symbols.length === 1 ? '' : 's'}</title>
+<style>
+  body { margin: 24px; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; color: #333; }
+  .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); gap: 12px; }
+  figure { margin: 0; padding: 16px; border: 1px solid #ddd; border-radius: 8px; text-align: center; }
+  .icon { width: 48px; height: 48px; }
+  figcaption { margin: 8px 0; font-weight: 600; font-size: 13px; }
+  code { display: block; font-size: 11px; color: #666; word-break: break-all; user-select: all; }
+</style>
+</head>
+<body>
+<svg aria-hidden="true" style="position: absolute; width: 0; height: 0; overflow: hidden;">${svgString.replace(/^<svg[^>]*>|<\/svg>$/g, '')}</svg>
+<h1>${symbols.length} icon${symbols.length === 1 ? '' : 's'} in ${SPRITE_FILENAME}.svg</h1>
+<div class="grid">
+${cards.join('\n')}
+</div>
+</body>
+</html>
+`;
+        return { svg: svgString, html: html, symbols: symbols };
+    }
+
+    // ============================================
+    // Icon Rendering
+    // ============================================
+
+    /**
+     * Apply colors, transforms, opacity and background to an icon
+     * @param {SVGElement} sourceSvg - Icon SVG (left unmodified)
+     * @param {Object} settings - A value for every ITEM_SETTING_KEYS key
+     * @returns {SVGElement} - New SVG element
+     */
+    function renderIconSVG(sourceSvg, settings) {
+        // Clone the source SVG
+        const svg = sourceSvg.cloneNode(true);
+
+        // Get viewBox or create one
+        let viewBox = svg.getAttribute('viewBox');
+        if (!viewBox) {
+            const w = parseFloat(svg.getAttribute('width')) || 24;
+            const h = parseFloat(svg.getAttribute('height')) || 24;
+            viewBox = `0 0 ${w} ${h}`;
+            svg.setAttribute('viewBox', viewBox);
+        }
+
+        const [vbX, vbY, vbW, vbH] = viewBox.split(/\s+/).map(parseFloat);
+        const centerX = vbX + vbW / 2;
+        const centerY = vbY + vbH / 2;
+
+        // Apply fill color to all elements, or remap each color in palette mode
+        if (settings.colorMode === 'palette') {
+            applyPalette(svg, settings);
+        } else {
+            applyFillColor(svg, settings.fillColor);
+        }
+
+        // Apply stroke if enabled
+        if (settings.strokeWidth > 0) {
+            applyStroke(svg, settings.strokeColor, settings.strokeWidth);
+        }
+
+        // Build transformation string
+        const transforms = [];
+
+        // Apply offset (translate)
+        if (settings.offsetX !== 0 || settings.offsetY !== 0) {
+            const offsetXPx = (settings.offsetX / 100) * vbW;
+            const offsetYPx = (settings.offsetY / 100) * vbH;
+            transforms.push(`translate(${offsetXPx} ${offsetYPx})`);
+        }
+
+        // Apply scale
+        if (settings.scale !== 100) {
+            const scaleFactor = settings.scale / 100;
+            transforms.push(`translate(${centerX} ${centerY}) scale(${scaleFactor}) translate(${-centerX} ${-centerY})`);
+        }
+
+        // Apply rotation
+        if (settings.rotation !== 0) {
+            transforms.push(`rotate(${settings.rotation} ${centerX} ${centerY})`);
+        }
+
+        // Apply flips
+        if (settings.flipH || settings.flipV) {
+            const scaleX = settings.flipH ? -1 : 1;
+            const scaleY = settings.flipV ? -1 : 1;
+            transforms.push(`translate(${centerX} ${centerY}) scale(${scaleX} ${scaleY}) translate(${-centerX} ${-centerY})`);
+        }
+
+        // Check if we need a wrapper group (for transforms or opacity)
+        const needsGroup = transforms.length > 0 || settings.opacity !== 100;
+
+        // Wrap content in a group with transforms and/or opacity
+        if (needsGroup) {
+            const content = Array.from(svg.childNodes);
+            const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            if (transforms.length > 0) {
+                group.setAttribute('transform', transforms.join(' '));
+            }
+            if (settings.opacity !== 100) {
+                group.setAttribute('opacity', settings.opacity / 100);
+            }
+            content.forEach(node => {
+                // Keep <defs> as direct children of <svg>, only wrap renderable content
+                if (node.nodeType === 1 && node.tagName === 'defs') return;
+                group.appendChild(node.cloneNode(true));
+            });
+            // Preserve existing <defs> (e.g. knockout masks)
+            const existingDefs = svg.querySelector('defs');
+            svg.innerHTML = '';
+            if (existingDefs) svg.appendChild(existingDefs.cloneNode(true));
+            svg.appendChild(group);
+        }
+
+        // Add background if enabled
+        if (settings.bgEnabled) {
+            return wrapWithBackground(svg, vbW, vbH, settings);
+        }
+
+        return svg;
+    }
+
+    function applyFillColor(svg, color) {
+        // Apply fill to elements that should be filled
+        // For stroke-only elements (fill="none"), apply the color to their stroke instead
+        const svgFill = svg.getAttribute('fill');
+        const svgStroke = svg.getAttribute('stroke');
+        const elements = svg.querySelectorAll('path, circle, rect, polygon, polyline, ellipse, line');
+        elements.forEach(el => {
+            // Skip elements inside <defs>/<mask> and overlay layer backgrounds (preserve their color)
+            if (el.closest('defs') || el.closest('mask') || el.hasAttribute('data-layer-bg')) return;
+            const currentFill = el.getAttribute('fill');
+            const currentStroke = el.getAttribute('stroke');
+            // Resolve effective fill: element attribute, then inherited from parent SVG
+            const effectiveFill = currentFill || svgFill || '';
+            const effectiveStroke = currentStroke || svgStroke || '';
+
+            // Gradient and pattern paints keep their reference (see gradientMode)
+            if (effectiveFill === 'none') {
+                // This is a stroke-only element - apply color to stroke
+                if (effectiveStroke && effectiveStroke !== 'none' && !getPaintServerId(effectiveStroke)) {
+                    el.setAttribute('stroke', color);
+                }
+            } else if (!getPaintServerId(effectiveFill)) {
+                // Normal filled element - apply color to fill
+                el.setAttribute('fill', color);
+            }
+
+            // Also check style attribute
+            if (el.style.fill && el.style.fill !== 'none' && !getPaintServerId(el.style.fill)) {
+                el.style.fill = color;
+            }
+            if (el.style.stroke && el.style.stroke !== 'none' && effectiveFill === 'none' && !getPaintServerId(el.style.stroke)) {
+                el.style.stroke = color;
+            }
+        });
+
+        // Handle groups that might have fill
+        const groups = svg.querySelectorAll('g[fill]');
+        groups.forEach(g => {
+            if (g.getAttribute('fill') !== 'none' && !getPaintServerId(g.getAttribute('fill'))) {
+                g.setAttribute('fill', color);
+            }
+        });
+    }
+
+    function applyStroke(svg, color, width) {
+        const elements = svg.querySelectorAll('path, circle, rect, polygon, polyline, ellipse, line');
+        elements.forEach(el => {
+            if (el.closest('defs') || el.closest('mask') || el.hasAttribute('data-layer-bg')) return;
+            el.setAttribute('stroke', color);
+            el.setAttribute('stroke-width', width);
+        });
+    }
+
+    // ============================================
+    // Color Palette
+    // ============================================
+
+    const PALETTE_SHAPES = 'path, circle, rect, polygon, polyline, ellipse, line'; // currentSVG element -> Map of color -> use count
+    // CSS color keywords as hex digits, so named colors normalize without a canvas
+    const NAMED_COLORS = {
+        aliceblue: 'f0f8ff', antiquewhite: 'faebd7', aqua: '00ffff', aquamarine: '7fffd4',
+        azure: 'f0ffff', beige: 'f5f5dc', bisque: 'ffe4c4', black: '000000',
+        blanchedalmond: 'ffebcd', blue: '0000ff', blueviolet: '8a2be2', brown: 'a52a2a',
+        burlywood: 'deb887', cadetblue: '5f9ea0', chartreuse: '7fff00', chocolate: 'd2691e',
+        coral: 'ff7f50', cornflowerblue: '6495ed', cornsilk: 'fff8dc', crimson: 'dc143c',
+        cyan: '00ffff', darkblue: '00008b', darkcyan: '008b8b', darkgoldenrod: 'b8860b',
+        darkgray: 'a9a9a9', darkgreen: '006400', darkgrey: 'a9a9a9', darkkhaki: 'bdb76b',
+        darkmagenta: '8b008b', darkolivegreen: '556b2f', darkorange: 'ff8c00',
+        darkorchid: '9932cc', darkred: '8b0000', darksalmon: 'e9967a', darkseagreen: '8fbc8f',
+        darkslateblue: '483d8b', darkslategray: '2f4f4f', darkslategrey: '2f4f4f',
+        darkturquoise: '00ced1', darkviolet: '9400d3', deeppink: 'ff1493',
+        deepskyblue: '00bfff', dimgray: '696969', dimgrey: '696969', dodgerblue: '1e90ff',
+        firebrick: 'b22222', floralwhite: 'fffaf0', forestgreen: '228b22', fuchsia: 'ff00ff',
+        gainsboro: 'dcdcdc', ghostwhite: 'f8f8ff', gold: 'ffd700', goldenrod: 'daa520',
+        gray: '808080', green: '008000', greenyellow: 'adff2f', grey: '808080',
+        honeydew: 'f0fff0', hotpink: 'ff69b4', indianred: 'cd5c5c', indigo: '4b0082',
+        ivory: 'fffff0', khaki: 'f0e68c', lavender: 'e6e6fa', lavenderblush: 'fff0f5',
+        lawngreen: '7cfc00', lemonchiffon: 'fffacd', lightblue: 'add8e6', lightcoral: 'f08080',
+        lightcyan: 'e0ffff', lightgoldenrodyellow: 'fafad2', lightgray: 'd3d3d3',
+        lightgreen: '90ee90', lightgrey: 'd3d3d3', lightpink: 'ffb6c1', lightsalmon: 'ffa07a',
+        lightseagreen: '20b2aa', lightskyblue: '87cefa', lightslategray: '778899',
+        lightslategrey: '778899', lightsteelblue: 'b0c4de', lightyellow: 'ffffe0',
+        lime: '00ff00', limegreen: '32cd32', linen: 'faf0e6', magenta: 'ff00ff',
+        maroon: '800000', mediumaquamarine: '66cdaa', mediumblue: '0000cd',
+        mediumorchid: 'ba55d3', mediumpurple: '9370db', mediumseagreen: '3cb371',
+        mediumslateblue: '7b68ee', mediumspringgreen: '00fa9a', mediumturquoise: '48d1cc',
+        mediumvioletred: 'c71585', midnightblue: '191970', mintcream: 'f5fffa',
+        mistyrose: 'ffe4e1', moccasin: 'ffe4b5', navajowhite: 'ffdead', navy: '000080',
+        oldlace: 'fdf5e6', olive: '808000', olivedrab: '6b8e23', orange: 'ffa500',
+        orangered: 'ff4500', orchid: 'da70d6', palegoldenrod: 'eee8aa', palegreen: '98fb98',
+        paleturquoise: 'afeeee', palevioletred: 'db7093', papayawhip: 'ffefd5',
+        peachpuff: 'ffdab9', peru: 'cd853f', pink: 'ffc0cb', plum: 'dda0dd',
+        powderblue: 'b0e0e6', purple: '800080', rebeccapurple: '663399', red: 'ff0000',
+        rosybrown: 'bc8f8f', royalblue: '4169e1', saddlebrown: '8b4513', salmon: 'fa8072',
+        sandybrown: 'f4a460', seagreen: '2e8b57', seashell: 'fff5ee', sienna: 'a0522d',
+        silver: 'c0c0c0', skyblue: '87ceeb', slateblue: '6a5acd', slategray: '708090',
+        slategrey: '708090', snow: 'fffafa', springgreen: '00ff7f', steelblue: '4682b4',
+        tan: 'd2b48c', teal: '008080', thistle: 'd8bfd8', tomato: 'ff6347', turquoise: '40e0d0',
+        violet: 'ee82ee', wheat: 'f5deb3', white: 'ffffff', whitesmoke: 'f5f5f5',
+        yellow: 'ffff00', yellowgreen: '9acd32'
+    };
+
+    /**
+     * Normalize a paint value to lowercase #rrggbb
+     * @param {string} value - Attribute or style value
+     * @returns {string|null} - null for none, currentColor, url() references and invalid values
+     */
+    function normalizeColorValue(value) {
+        if (!value) return null;
+        const v = value.trim().toLowerCase();
+        if (v === 'none' || v === 'transparent' || v === 'currentcolor' || v === 'inherit' || v.startsWith('url(')) return null;
+        if (/^#[0-9a-f]{6}$/.test(v)) return v;
+        if (/^#[0-9a-f]{3}$/.test(v)) return '#' + v[1] + v[1] + v[2] + v[2] + v[3] + v[3];
+        if (!isValidColor(v)) return null;
+
+        if (NAMED_COLORS[v]) return '#' + NAMED_COLORS[v];
+
+        // Other forms (rgb(), hsl(), hex with alpha): the style engine reports them back as rgb()/rgba()
+        const s = new Option().style;
+        s.color = v;
+        const m = s.color.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
+        if (!m) return null;
+        return '#' + [m[1], m[2], m[3]].map(n => parseInt(n, 10).toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Resolve the fill or stroke an element is painted with, following inheritance
+     * @param {Element} el - Shape element
+     * @param {string} prop - 'fill' or 'stroke'
+     * @returns {string} - Raw paint value (SVG defaults: black fill, no stroke)
+     */
+    function getEffectivePaint(el, prop) {
+        for (let node = el; node && node.nodeType === 1; node = node.parentNode) {
+            const value = (node.style && node.style.getPropertyValue(prop)) || node.getAttribute(prop);
+            if (value && value.trim() !== 'inherit') return value.trim();
+        }
+        return prop === 'fill' ? '#000000' : 'none';
+    }
+
+    /**
+     * Shapes whose colors belong to the icon (not defs, masks, clip paths or overlay layer backgrounds)
+     */
+    function getPaletteShapes(svg) {
+        return Array.from(svg.querySelectorAll(PALETTE_SHAPES)).filter(el =>
+            !el.closest('defs') && !el.closest('mask') && !el.closest('clipPath') && !el.hasAttribute('data-layer-bg'));
+    }
+
+    /**
+     * Recolor an icon color by color (palette mode), instead of applyFillColor's single color.
+     * Every fill and stroke is written onto its shape so regrouping can't change it.
+     * Shapes painted with settings.fmDynamicColor get data-fm-dynamic ("fill", "stroke" or both)
+     * so processSVGForFileMaker leaves only those to FileMaker and keeps the rest baked in.
+     * The root gets an empty data-fm-dynamic, so with no dynamic color every color stays as set.
+     * @param {SVGElement} svg - Icon SVG (modified)
+     * @param {Object} settings - Uses paletteMap {source: color} and fmDynamicColor (source color)
+     */
+    function applyPalette(svg, settings) {
+        const map = settings.paletteMap || {};
+        svg.setAttribute('data-fm-dynamic', '');
+        getPaletteShapes(svg).forEach(el => {
+            const dynamicProps = [];
+            ['fill', 'stroke'].forEach(prop => {
+                const source = normalizeColorValue(getEffectivePaint(el, prop));
+                if (!source) return;
+                const color = map[source] || source;
+                el.setAttribute(prop, color);
+                if (el.style.getPropertyValue(prop)) el.style.setProperty(prop, color);
+                if (source === settings.fmDynamicColor) dynamicProps.push(prop);
+            });
+            if (dynamicProps.length > 0) el.setAttribute('data-fm-dynamic', dynamicProps.join(' '));
+        });
+    }
+
+    // ============================================
+    // Gradients and Patterns
+    // ============================================
+
+    const PAINT_SERVERS = 'linearGradient, radialGradient, pattern';
+
+    /**
+     * Extract the id from a url(#id) paint reference
+     * @param {string} value - Paint value
+     * @returns {string|null}
+     */
+    function getPaintServerId(value) {
+        const m = value && value.match(/^\s*url\(\s*['"]?#([^'")]+)['"]?\s*\)/i);
+        return m ? m[1] : null;
+    }
+
+    /**
+     * Find a gradient or pattern by id inside an SVG
+     */
+    function findPaintServer(svg, id) {
+        return Array.from(svg.querySelectorAll(PAINT_SERVERS)).find(el => el.getAttribute('id') === id) || null;
+    }
+
+    /**
+     * Stops of a gradient, following href to a template gradient when it has none of its own
+     * @param {SVGElement} svg
+     * @param {Element} gradient
+     * @returns {Element[]}
+     */
+    function getGradientStops(svg, gradient) {
+        const seen = [];
+        let current = gradient;
+        while (current && !seen.includes(current)) {
+            const stops = Array.from(current.querySelectorAll('stop'));
+            if (stops.length > 0) return stops;
+            seen.push(current);
+            const href = current.getAttribute('href') || current.getAttribute('xlink:href');
+            current = href && href.startsWith('#') ? findPaintServer(svg, href.slice(1)) : null;
+        }
+        return [];
+    }
+
+    /**
+     * Color, opacity and offset of a gradient stop (style takes precedence over attributes)
+     * @returns {{color: string, opacity: number, offset: number}}
+     */
+    function readGradientStop(stop) {
+        const read = prop => (stop.style && stop.style.getPropertyValue(prop)) || stop.getAttribute(prop);
+        const offsetValue = (stop.getAttribute('offset') || '0').trim();
+        let offset = parseFloat(offsetValue) || 0;
+        if (offsetValue.endsWith('%')) offset /= 100;
+        const opacity = parseFloat(read('stop-opacity'));
+        return {
+            color: normalizeColorValue(read('stop-color') || '#000000') || '#000000',
+            opacity: isNaN(opacity) ? 1 : Math.max(0, Math.min(1, opacity)),
+            offset: Math.max(0, Math.min(1, offset))
+        };
+    }
+
+    /**
+     * The single color that best stands in for a gradient or pattern: the gradient's colors
+     * averaged over its length (weighted by stop opacity), or a pattern's first painted color
+     * @param {SVGElement} svg
+     * @param {Element} server - linearGradient, radialGradient or pattern
+     * @returns {string|null} - #rrggbb, null if nothing usable
+     */
+    function getPaintServerAverage(svg, server) {
+        if (server.localName === 'pattern') {
+            for (const shape of server.querySelectorAll(PALETTE_SHAPES)) {
+                const color = normalizeColorValue(getEffectivePaint(shape, 'fill'));
+                if (color) return color;
+            }
+            return null;
+        }
+
+        const stops = getGradientStops(svg, server).map(readGradientStop);
+        if (stops.length === 0) return null;
+
+        // Offsets never decrease along a gradient; the first and last colors pad out to 0 and 1
+        let last = 0;
+        stops.forEach(stop => { stop.offset = Math.max(stop.offset, last); last = stop.offset; });
+        const points = [Object.assign({}, stops[0], { offset: 0 })].concat(stops,
+            [Object.assign({}, stops[stops.length - 1], { offset: 1 })]);
+
+        const sum = [0, 0, 0];
+        let weight = 0;
+        for (let i = 1; i < points.length; i++) {
+            const span = points[i].offset - points[i - 1].offset;
+            [points[i - 1], points[i]].forEach(p => {
+                const w = span * p.opacity / 2;
+                const rgb = [1, 3, 5].map(k => parseInt(p.color.substr(k, 2), 16));
+                rgb.forEach((c, k) => { sum[k] += c * w; });
+                weight += w;
+            });
+        }
+        if (weight === 0) return stops[0].color;
+        return '#' + sum.map(c => Math.round(c / weight).toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Count fills and strokes painted with a gradient or pattern
+     * @param {SVGElement} svg
+     * @returns {number}
+     */
+    function countPaintServerReferences(svg) {
+        let count = 0;
+        [svg, ...svg.querySelectorAll('*')].forEach(el => {
+            if (el.closest(PAINT_SERVERS)) return;
+            ['fill', 'stroke'].forEach(prop => {
+                const id = getPaintServerId((el.style && el.style.getPropertyValue(prop)) || el.getAttribute(prop));
+                if (id && findPaintServer(svg, id)) count++;
+            });
+        });
+        return count;
+    }
+
+    /**
+     * Replace gradient and pattern paints with solid colors for FileMaker targets that can't
+     * render them, then bake shape opacity into those solid colors (blended over the icon
+     * background, or white) since FileMaker ignores opacity. Unused paint servers are removed.
+     * @param {SVGElement} svg - Modified in place
+     */
+    function flattenPaintServers(svg) {
+        const read = (el, prop) => (el.style && el.style.getPropertyValue(prop)) || el.getAttribute(prop);
+        const remove = (el, prop) => {
+            el.removeAttribute(prop);
+            if (el.style) el.style.removeProperty(prop);
+            if (el.getAttribute('style') === '') el.removeAttribute('style');
+        };
+        const write = (el, prop, value) => {
+            remove(el, prop);
+            el.setAttribute(prop, value);
+        };
+
+        const averages = new Map();
+        [svg, ...svg.querySelectorAll('*')].forEach(el => {
+            if (el.closest(PAINT_SERVERS)) return;
+            ['fill', 'stroke'].forEach(prop => {
+                const id = getPaintServerId(read(el, prop));
+                if (!id) return;
+                if (!averages.has(id)) {
+                    const server = findPaintServer(svg, id);
+                    averages.set(id, server ? getPaintServerAverage(svg, server) : null);
+                }
+                // A missing server paints nothing, as in a browser
+                write(el, prop, averages.get(id) || 'none');
+            });
+        });
+
+        // Bake opacity into solid colors
+        const bg = svg.querySelector('.fm-background');
+        const backdrop = (bg && normalizeColorValue(bg.getAttribute('fill'))) || '#ffffff';
+        svg.querySelectorAll(PALETTE_SHAPES).forEach(el => {
+            if (el.closest('defs') || el.closest('mask') || el.closest(PAINT_SERVERS) || el.hasAttribute('data-layer-bg')) return;
+            const opacity = parseFloat(read(el, 'opacity'));
+            const shapeAlpha = isNaN(opacity) ? 1 : opacity;
+            const paints = ['fill', 'stroke'].map(prop => {
+                const value = getEffectivePaint(el, prop);
+                const propOpacity = parseFloat(read(el, prop + '-opacity'));
+                return { prop, value, color: normalizeColorValue(value), alpha: isNaN(propOpacity) ? 1 : propOpacity };
+            }).filter(paint => paint.value !== 'none');
+
+            // Whole-shape opacity can only go when every paint under it is a known color
+            const bakeShape = shapeAlpha > 0 && shapeAlpha < 1 && paints.every(paint => paint.color);
+            paints.forEach(paint => {
+                const alpha = paint.alpha * (bakeShape ? shapeAlpha : 1);
+                if (!paint.color || alpha >= 1 || alpha <= 0) return;
+                write(el, paint.prop, blendColors(paint.color, backdrop, alpha));
+                remove(el, paint.prop + '-opacity');
+            });
+            if (bakeShape) remove(el, 'opacity');
+        });
+
+        // Drop paint servers nothing refers to any more
+        const markup = new XMLSerializer().serializeToString(svg);
+        svg.querySelectorAll(PAINT_SERVERS).forEach(server => {
+            const id = server.getAttribute('id');
+            if (!id || (!markup.includes('#' + id + ')') && !markup.includes('#' + id + '"'))) server.remove();
+        });
+        svg.querySelectorAll('defs').forEach(defs => {
+            if (!defs.firstElementChild) defs.remove();
+        });
+    }
+
+    /**
+     * Mix a color over a backdrop
+     * @param {string} color - #rrggbb
+     * @param {string} backdrop - #rrggbb
+     * @param {number} alpha - Coverage of color (0-1)
+     * @returns {string} - #rrggbb
+     */
+    function blendColors(color, backdrop, alpha) {
+        return '#' + [1, 3, 5].map(k => {
+            const c = parseInt(color.substr(k, 2), 16);
+            const b = parseInt(backdrop.substr(k, 2), 16);
+            return Math.round(c * alpha + b * (1 - alpha)).toString(16).padStart(2, '0');
+        }).join('');
+    }
+
+    function wrapWithBackground(iconSvg, origWidth, origHeight, settings) {
+        // Create new SVG with background
+        const newSvg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        newSvg.setAttributeNS(XMLNS_NS, 'xmlns', 'http://www.w3.org/2000/svg');
+
+        // Calculate padding
+        const padding = (settings.iconPadding / 100) * Math.max(origWidth, origHeight);
+        const totalSize = Math.max(origWidth, origHeight) + padding * 2;
+        const shape = BG_SHAPES.includes(settings.bgShape) ? settings.bgShape : 'polygon';
+
+        // The icon is centered on the body; tails and points extend the canvas past it
+        let width = totalSize, height = totalSize;
+        let bodyX = 0, bodyW = totalSize, bodyH = totalSize;
+        if (shape === 'pill') {
+            // Follow the icon's aspect ratio, wide enough for the round ends to clear its corners
+            const halfH = origHeight / 2 + padding;
+            const capClearance = halfH - Math.sqrt(halfH * halfH - origHeight * origHeight / 4);
+            bodyH = height = halfH * 2;
+            bodyW = width = Math.max(halfH, origWidth / 2 + Math.max(padding, capClearance)) * 2;
+        } else if (BG_SHAPE_EXTENT[shape]) {
+            const extent = BG_SHAPE_EXTENT[shape];
+            bodyX = (extent.left || 0) * totalSize;
+            width = totalSize + bodyX;
+            height = totalSize * (1 + (extent.bottom || 0));
+        }
+
+        // Leave room for the drop shadow: its softest edge reaches blur / 2 past the shape
+        const shadowBlur = settings.bgShadow ? (settings.bgShadowBlur / 100) * totalSize : 0;
+        const shadowOffset = settings.bgShadow ? (settings.bgShadowOffset / 100) * totalSize : 0;
+        const originX = shadowBlur / 2;
+        const originY = Math.max(0, shadowBlur / 2 - shadowOffset);
+        if (settings.bgShadow) {
+            width += shadowBlur;
+            height += originY + shadowBlur / 2 + shadowOffset;
+        }
+        bodyX += originX;
+
+        newSvg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        newSvg.setAttribute('width', width);
+        newSvg.setAttribute('height', height);
+
+        // Create background shape
+        let bgShape;
+        if (shape !== 'polygon') {
+            bgShape = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            bgShape.setAttribute('d', generateShapePath(shape, bodyX, originY, bodyW, bodyH, {
+                cornerRadius: settings.cornerRadius,
+                starPoints: settings.bgStarPoints,
+                starInner: settings.bgStarInner
+            }));
+        } else if (settings.bgEdges === 0) {
+            // Circle
+            bgShape = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            bgShape.setAttribute('cx', originX + totalSize / 2);
+            bgShape.setAttribute('cy', originY + totalSize / 2);
+            bgShape.setAttribute('r', totalSize / 2);
+        } else if (settings.bgEdges === 4) {
+            // Square: use rect for cleaner output
+            bgShape = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            bgShape.setAttribute('x', originX);
+            bgShape.setAttribute('y', originY);
+            bgShape.setAttribute('width', totalSize);
+            bgShape.setAttribute('height', totalSize);
+            const radius = (settings.cornerRadius / 100) * totalSize;
+            if (radius > 0) {
+                bgShape.setAttribute('rx', radius);
+                bgShape.setAttribute('ry', radius);
+            }
+        } else {
+            // Polygon (3, 5, 6, 7, ...)
+            bgShape = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            const cornerRadiusFraction = settings.cornerRadius / 100;
+            const d = generatePolygonPath(originX + totalSize / 2, originY + totalSize / 2, totalSize / 2, settings.bgEdges, cornerRadiusFraction);
+            bgShape.setAttribute('d', d);
+        }
+        const bgPathData = shapeToPathData(bgShape);
+
+        // The background grown by a distance (negative shrinks it; '' once nothing is left).
+        // Circles, rectangles and pills offset exactly; polygons move their sides out
+        // by the distance, and library shapes are scaled by redrawing them over a grown body.
+        const exactOffset = shape === 'polygon' || shape === 'pill';
+        const shapeAt = grow => {
+            if (grow === 0) return bgPathData;
+            if (shape !== 'polygon') {
+                if (Math.min(bodyW, bodyH) + grow * 2 <= 0) return '';
+                return generateShapePath(shape, bodyX - grow, originY - grow, bodyW + grow * 2, bodyH + grow * 2, {
+                    cornerRadius: settings.cornerRadius,
+                    starPoints: settings.bgStarPoints,
+                    starInner: settings.bgStarInner
+                });
+            }
+            const cx = originX + totalSize / 2, cy = originY + totalSize / 2;
+            if (settings.bgEdges === 0) {
+                return totalSize / 2 + grow > 0 ? circlePath(cx, cy, totalSize / 2 + grow) : '';
+            }
+            if (settings.bgEdges === 4) {
+                if (totalSize + grow * 2 <= 0) return '';
+                const radius = (settings.cornerRadius / 100) * totalSize;
+                return roundedRectPath(originX - grow, originY - grow, totalSize + grow * 2, totalSize + grow * 2,
+                    Math.max(0, radius + grow));
+            }
+            // Sides sit at the inradius, cos(180° / n) of the corner radius
+            const radius = totalSize / 2 + grow / Math.cos(Math.PI / settings.bgEdges);
+            return radius > 0 ? generatePolygonPath(cx, cy, radius, settings.bgEdges, settings.cornerRadius / 100) : '';
+        };
+
+        if (settings.bgGradient === 'linear' || settings.bgGradient === 'radial') {
+            const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
+            const gradient = createBackgroundGradient(settings);
+            defs.appendChild(gradient);
+            newSvg.appendChild(defs);
+            bgShape.setAttribute('fill', `url(#${gradient.getAttribute('id')})`);
+        } else {
+            bgShape.setAttribute('fill', settings.bgColor);
+        }
+
+        if (settings.bgShadow) {
+            newSvg.appendChild(createBackgroundShadow(shapeAt, shadowBlur, shadowOffset, settings));
+        }
+        bgShape.setAttribute('class', 'fm-background');
+        newSvg.appendChild(bgShape);
+
+        // Border: the strip of the shape within bgBorderWidth of its edge, as a filled path -
+        // the shape with a shrunk copy cut out of it, or traced for shapes that don't shrink exactly
+        const borderWidth = (settings.bgBorderWidth / 100) * totalSize;
+        if (borderWidth > 0) {
+            const border = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            if (exactOffset) {
+                border.setAttribute('d', (bgPathData + ' ' + shapeAt(-borderWidth)).trim());
+                border.setAttribute('fill-rule', 'evenodd');
+            } else {
+                border.setAttribute('d', offsetShapePath(bgPathData, borderWidth, totalSize, true));
+            }
+            border.setAttribute('fill', settings.bgBorderColor);
+            border.setAttribute('stroke', 'none');
+            border.setAttribute('class', 'fm-background-border');
+            border.setAttribute('data-layer-bg', '1');
+            newSvg.appendChild(border);
+        }
+
+        // Create group for the icon
+        const iconGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        iconGroup.setAttribute('class', 'fm-icon');
+
+        // Calculate scale and position to center the icon
+        const iconScale = (totalSize - padding * 2) / Math.max(origWidth, origHeight);
+        const offsetX = bodyX + (bodyW - origWidth * iconScale) / 2;
+        const offsetY = originY + (bodyH - origHeight * iconScale) / 2;
+
+        iconGroup.setAttribute('transform', `translate(${offsetX} ${offsetY}) scale(${iconScale})`);
+
+        // Copy all children from icon SVG
+        Array.from(iconSvg.childNodes).forEach(node => {
+            iconGroup.appendChild(node.cloneNode(true));
+        });
+
+        newSvg.appendChild(iconGroup);
+
+        return newSvg;
+    }
+
+    /**
+     * Gradient from bgColor to bgGradientColor across the background's bounding box.
+     * Linear gradients run along bgGradientAngle (0 = left to right, 90 = top to bottom);
+     * radial ones spread from the center. The id is built from the settings, so icons
+     * previewed side by side only share an id when their gradients are the same.
+     */
+    function createBackgroundGradient(settings) {
+        const ns = 'http://www.w3.org/2000/svg';
+        let gradient;
+        if (settings.bgGradient === 'radial') {
+            gradient = document.createElementNS(ns, 'radialGradient');
+            gradient.setAttribute('cx', '0.5');
+            gradient.setAttribute('cy', '0.5');
+            gradient.setAttribute('r', '0.5');
+        } else {
+            const angle = settings.bgGradientAngle * Math.PI / 180;
+            const dx = Math.cos(angle) / 2, dy = Math.sin(angle) / 2;
+            const fmt = v => String(Math.round(v * 10000) / 10000);
+            gradient = document.createElementNS(ns, 'linearGradient');
+            gradient.setAttribute('x1', fmt(0.5 - dx));
+            gradient.setAttribute('y1', fmt(0.5 - dy));
+            gradient.setAttribute('x2', fmt(0.5 + dx));
+            gradient.setAttribute('y2', fmt(0.5 + dy));
+        }
+        const parts = [settings.bgGradient, settings.bgColor, settings.bgGradientColor];
+        if (settings.bgGradient === 'linear') parts.push(settings.bgGradientAngle);
+        gradient.setAttribute('id', ('fm-bg-gradient-' + parts.join('-')).replace(/[^\w-]/g, ''));
+        [[0, settings.bgColor], [1, settings.bgGradientColor]].forEach(([offset, color]) => {
+            const stop = document.createElementNS(ns, 'stop');
+            stop.setAttribute('offset', offset);
+            stop.setAttribute('stop-color', color);
+            gradient.appendChild(stop);
+        });
+        return gradient;
+    }
+
+    const BG_SHADOW_LAYERS = 5;
+
+    /**
+     * Soft drop shadow as plain filled paths, since FileMaker ignores SVG filters.
+     * The shape is drawn BG_SHADOW_LAYERS times, grown by blur / 2 down to shrunk by
+     * blur / 2, each layer faint enough that they build up to bgShadowOpacity where all
+     * overlap. The edge fades out over the blur width.
+     * @param {Function} shapeAt - grow => background path data grown by that distance
+     * @param {number} blur - Width of the fade, in user units (0 for a hard shadow)
+     * @param {number} offset - Distance the shadow falls below the shape
+     * @param {Object} settings - bgShadowColor and bgShadowOpacity
+     * @returns {SVGGElement}
+     */
+    function createBackgroundShadow(shapeAt, blur, offset, settings) {
+        const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        group.setAttribute('class', 'fm-background-shadow');
+        if (offset > 0) group.setAttribute('transform', `translate(0 ${offset})`);
+
+        const layers = blur > 0 ? BG_SHADOW_LAYERS : 1;
+        const opacity = Math.min(Math.max(settings.bgShadowOpacity / 100, 0), 1);
+        const layerOpacity = 1 - Math.pow(1 - opacity, 1 / layers);
+        for (let i = 0; i < layers; i++) {
+            const grow = layers === 1 ? 0 : blur / 2 - blur * i / (layers - 1);
+            const d = shapeAt(grow);
+            if (!d) continue;
+            const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            path.setAttribute('d', d);
+            path.setAttribute('fill', settings.bgShadowColor);
+            path.setAttribute('stroke', 'none');
+            path.setAttribute('opacity', String(Math.round(layerOpacity * 1000) / 1000));
+            path.setAttribute('data-layer-bg', '1');
+            group.appendChild(path);
+        }
+        return group;
+    }
+
+    // ============================================
+    // Background Shape Library
+    // ============================================
+
+    // 'polygon' draws bgEdges (circle, square, n-gons); the rest are drawn by generateShapePath
+    const BG_SHAPES = ['polygon', 'squircle', 'star', 'shield', 'bubble', 'tag', 'pill'];
+
+    // How far a shape reaches outside its body rectangle, as a fraction of the body's
+    // shorter side. The icon stays centered on the body.
+    const BG_SHAPE_EXTENT = {
+        bubble: { bottom: 0.2 },    // tail
+        tag: { left: 0.4 }          // point
+    };
+
+    /**
+     * Path data for a shape from the background library, drawn over the body
+     * rectangle (x, y, w, h)
+     * @param {string} shape - One of BG_SHAPES other than 'polygon'
+     * @param {Object} options - cornerRadius (0-50, % of the body's shorter side),
+     *   starPoints, starInner (inner radius as % of the outer)
+     * @returns {string} - Path data
+     */
+    function generateShapePath(shape, x, y, w, h, options = {}) {
+        const cornerRadius = options.cornerRadius !== undefined ? options.cornerRadius : 10;
+        const minSide = Math.min(w, h);
+        const r = (cornerRadius / 100) * minSide;
+        const cx = x + w / 2;
+        const cy = y + h / 2;
+
+        if (shape === 'squircle') {
+            // Superellipse |x|^n + |y|^n = 1: corner radius 50% is a circle, smaller
+            // radii square it off (10% gives the iOS app icon look)
+            const n = cornerRadius > 0 ? Math.min(50 / cornerRadius + 1, 40) : 40;
+            const samples = [];
+            const steps = 48;
+            for (let i = 0; i < steps; i++) {
+                const t = 2 * Math.PI * i / steps;
+                const c = Math.cos(t), s = Math.sin(t);
+                samples.push({
+                    x: cx + (w / 2) * Math.sign(c) * Math.pow(Math.abs(c), 2 / n),
+                    y: cy + (h / 2) * Math.sign(s) * Math.pow(Math.abs(s), 2 / n)
+                });
+            }
+            return smoothClosedPath(samples);
+        }
+
+        if (shape === 'star') {
+            // Points alternate between the outer radius and starInner% of it, from the top
+            const points = options.starPoints || 5;
+            const inner = (options.starInner !== undefined ? options.starInner : 50) / 100;
+            const vertices = [];
+            for (let i = 0; i < points * 2; i++) {
+                const angle = (Math.PI * i / points) - Math.PI / 2;
+                const k = i % 2 === 0 ? 1 : inner;
+                vertices.push({
+                    x: cx + (w / 2) * k * Math.cos(angle),
+                    y: cy + (h / 2) * k * Math.sin(angle)
+                });
+            }
+            setCornerRounding(vertices, cornerRadius / 100);
+            return roundedPolygonPath(vertices);
+        }
+
+        if (shape === 'shield') {
+            // Flat top, straight sides to the shoulders, then curving in to the point
+            return roundedPolygonPath([
+                { x: x, y: y, round: r },
+                { x: x + w, y: y, round: r },
+                { x: x + w, y: y + h * 0.55, round: minSide * 0.3 },
+                { x: cx, y: y + h, round: r * 0.5 },
+                { x: x, y: y + h * 0.55, round: minSide * 0.3 }
+            ]);
+        }
+
+        if (shape === 'bubble') {
+            // Rounded body with a tail below its left half
+            const br = Math.min(r, minSide * 0.3);
+            const tail = BG_SHAPE_EXTENT.bubble.bottom * minSide;
+            const baseLeft = x + Math.max(br, w * 0.12) + w * 0.1;
+            return roundedPolygonPath([
+                { x: x, y: y, round: br },
+                { x: x + w, y: y, round: br },
+                { x: x + w, y: y + h, round: br },
+                { x: baseLeft + w * 0.25, y: y + h },
+                { x: baseLeft - w * 0.08, y: y + h + tail, round: br * 0.3 },
+                { x: baseLeft, y: y + h },
+                { x: x, y: y + h, round: br }
+            ]);
+        }
+
+        if (shape === 'tag') {
+            // Body with a point to the left, punched with a hole (drawn the other way
+            // round so it stays empty under either fill rule)
+            const point = BG_SHAPE_EXTENT.tag.left * minSide;
+            const hr = minSide * 0.08;
+            const hx = x - point * 0.35;
+            return roundedPolygonPath([
+                { x: x, y: y, round: r },
+                { x: x + w, y: y, round: r },
+                { x: x + w, y: y + h, round: r },
+                { x: x, y: y + h, round: r },
+                { x: x - point, y: cy, round: r }
+            ]) + ' ' + circlePath(hx, cy, hr, true);
+        }
+
+        if (shape === 'pill') {
+            // Semicircular ends on the shorter sides
+            return roundedRectPath(x, y, w, h, minSide / 2);
+        }
+
+        return roundedRectPath(x, y, w, h, r);
+    }
+
+    // Cubic bezier handle length for a quarter circle
+    const ARC_KAPPA = 0.5523;
+
+    /**
+     * Rectangle path with circular corners drawn as cubic beziers
+     */
+    function roundedRectPath(x, y, w, h, r) {
+        r = Math.min(r, w / 2, h / 2);
+        const k = r * (1 - ARC_KAPPA);
+        const f = v => v.toFixed(2);
+        const right = x + w, bottom = y + h;
+        return `M ${f(x + r)} ${f(y)} L ${f(right - r)} ${f(y)}` +
+            ` C ${f(right - k)} ${f(y)} ${f(right)} ${f(y + k)} ${f(right)} ${f(y + r)}` +
+            ` L ${f(right)} ${f(bottom - r)}` +
+            ` C ${f(right)} ${f(bottom - k)} ${f(right - k)} ${f(bottom)} ${f(right - r)} ${f(bottom)}` +
+            ` L ${f(x + r)} ${f(bottom)}` +
+            ` C ${f(x + k)} ${f(bottom)} ${f(x)} ${f(bottom - k)} ${f(x)} ${f(bottom - r)}` +
+            ` L ${f(x)} ${f(y + r)}` +
+            ` C ${f(x)} ${f(y + k)} ${f(x + k)} ${f(y)} ${f(x + r)} ${f(y)} Z`;
+    }
+
+    /**
+     * Circle as four cubic beziers, clockwise unless counterClockwise
+     */
+    function circlePath(cx, cy, r, counterClockwise = false) {
+        const k = r * ARC_KAPPA;
+        const f = v => v.toFixed(2);
+        const s = counterClockwise ? -1 : 1;
+        return `M ${f(cx + r)} ${f(cy)}` +
+            ` C ${f(cx + r)} ${f(cy + s * k)} ${f(cx + k)} ${f(cy + s * r)} ${f(cx)} ${f(cy + s * r)}` +
+            ` C ${f(cx - k)} ${f(cy + s * r)} ${f(cx - r)} ${f(cy + s * k)} ${f(cx - r)} ${f(cy)}` +
+            ` C ${f(cx - r)} ${f(cy - s * k)} ${f(cx - k)} ${f(cy - s * r)} ${f(cx)} ${f(cy - s * r)}` +
+            ` C ${f(cx + k)} ${f(cy - s * r)} ${f(cx + r)} ${f(cy - s * k)} ${f(cx + r)} ${f(cy)} Z`;
+    }
+
+    /**
+     * Closed curve through sample points, as Catmull-Rom segments converted to cubics
+     */
+    function smoothClosedPath(points) {
+        const n = points.length;
+        const f = v => v.toFixed(2);
+        let d = `M ${f(points[0].x)} ${f(points[0].y)}`;
+        for (let i = 0; i < n; i++) {
+            const p0 = points[(i - 1 + n) % n];
+            const p1 = points[i];
+            const p2 = points[(i + 1) % n];
+            const p3 = points[(i + 2) % n];
+            d += ` C ${f(p1.x + (p2.x - p0.x) / 6)} ${f(p1.y + (p2.y - p0.y) / 6)}` +
+                ` ${f(p2.x - (p3.x - p1.x) / 6)} ${f(p2.y - (p3.y - p1.y) / 6)} ${f(p2.x)} ${f(p2.y)}`;
+        }
+        return d + ' Z';
+    }
+
+    // ============================================
+    // Utility Functions
+    // ============================================
+
+    function escapeHTML(str) {
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    }
+
+    function normalizeHex(value) {
+        const v = value.trim();
+        if (/^[0-9a-fA-F]{3,8}$/.test(v)) return '#' + v;
+        return v;
+    }
+
+    function isValidColor(color) {
+        const s = new Option().style;
+        s.color = color;
+        return s.color !== '';
+    }
+
+    return {
+        processSVGString, PROCESS_DEFAULTS, EDITOR_DEFAULTS, parseIconSVG, exportIconSVG, readEditorConfig,
+        processSVGForFileMaker, optimizeSVG, renderIconSVG, wrapWithBackground, normalizePath,
+        resolveStyleRules, convertEvenOddToNonZero, convertShapesToPaths, bakeTransforms,
+        outlineStrokeToFill, isStrokeBasedSVG, createValidationEntry, buildValidationReport,
+        buildSvgSprite, SPRITE_FILENAME, BG_SHAPES, normalizeHex, isValidColor, escapeHTML,
+        BAKE_SKIPPED_ELEMENTS, transformPathData, getPresentationValue, getEffectivePaint,
+        formatBakedNumber, findPaintServer, getGradientStops, readGradientStop,
+        parseTransformList, multiplyMatrix, getStyleProperty, normalizeColorValue,
+        getPaintServerId, getPaintServerAverage, getPathDataBounds, countPaintServerReferences,
+        getPaletteShapes, generateShapePath, tokenizePathData, flattenPathData, arcToCubics,
+        strokeSubpath, traceRegionBoundary, simplifyLoop, loopsToPathData, ringBounds,
+        collectPaintedRegions, loopArea
+    };
+}));
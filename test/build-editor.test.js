@@ -0,0 +1,23 @@
+/**
+ * elemental_svg.html ships as one file with svg-core.js inlined (scripts/build-editor.js):
+ * the copy must match the source, or the editor and Node tools process icons differently.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { inlineCore } = require('../scripts/build-editor.js');
+
+const ROOT = path.join(__dirname, '..');
+
+test('elemental_svg.html inlines the current svg-core.js', () => {
+  const html = fs.readFileSync(path.join(ROOT, 'elemental_svg.html'), 'utf8');
+  const core = fs.readFileSync(path.join(ROOT, 'svg-core.js'), 'utf8');
+  assert.ok(inlineCore(html, core) === html, 'elemental_svg.html is out of date with svg-core.js: run npm run build');
+});
+
+test('elemental_svg.html loads no other script files', () => {
+  const html = fs.readFileSync(path.join(ROOT, 'elemental_svg.html'), 'utf8');
+  assert.doesNotMatch(html, /<script[^>]*\ssrc=/);
+});
@@ -0,0 +1,135 @@
+/**
+ * The command line export (scripts/export-icons.js) against the editor's own Save:
+ * the same icons and initEditor() config through both must give the same files.
+ *
+ * The byte-for-byte check runs the editor in headless Chromium through puppeteer, and is
+ * skipped with the reason when puppeteer or its browser is missing. The jsdom run always
+ * happens: it shares svg-core.js with the command line, so it covers the page's side of
+ * the export (initEditor() settings, loading and the Save path) rather than the browser.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { exportSVGs, openEditor } = require('../scripts/export-icons.js');
+
+const EDITOR_PATH = path.join(__dirname, '..', 'elemental_svg.html');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// Stroked fixtures are outlined geometrically: Potrace tracing needs a canvas, which jsdom lacks
+const CONFIGS = {
+  defaults: { stroke_method: 'geometric' },
+  background: { stroke_method: 'geometric', bg_enabled: 1, bg_shape: 'circle', bg_color: '#1e3a8a', fill_color: '#ffffff', icon_padding: 20 },
+  baked: { stroke_method: 'geometric', rotation: 90, flip_h: 1, scale: 80, bake_transforms: 1, shapes_to_paths: 1, optimize: 1, optimize_precision: 2 },
+  plain: { fm_compatible: 0, fill_color: 'tomato', stroke_method: 'geometric', convert_strokes: 0 },
+  sprite: { stroke_method: 'geometric', svg_sprite: 1, bg_enabled: 1, bg_shape: 'squircle' },
+};
+
+function readFixtures() {
+  return fs.readdirSync(FIXTURES).filter(f => f.endsWith('.svg')).sort().map(f => ({
+    filename: f,
+    text: fs.readFileSync(path.join(FIXTURES, f)).toString('latin1'),
+  }));
+}
+
+/**
+ * Open the editor in jsdom, ready for initEditor()
+ * @returns {Promise<Window>}
+ */
+async function openJsdomEditor() {
+  const virtualConsole = new VirtualConsole();
+  const dom = await JSDOM.fromFile(EDITOR_PATH, {
+    runScripts: 'dangerously',
+    pretendToBeVisual: true,
+    virtualConsole,
+    beforeParse(window) {
+      window.matchMedia = () => ({ matches: false, addEventListener() {}, removeEventListener() {} });
+      // Keep the run offline: no update check or usage stats
+      window.fetch = () => Promise.reject(new Error('offline'));
+    },
+  });
+  await new Promise(resolve => dom.window.addEventListener('load', resolve));
+  return dom.window;
+}
+
+/**
+ * Save icons through the editor's Save button code path in a fresh editor, as FileMaker would
+ * @returns {Promise<Array<{filename: string, text: string}>>}
+ */
+async function saveInJsdom(sources, config) {
+  const window = await openJsdomEditor();
+  window.initEditor({ ...config, output_mode: 'fm', auto_convert: 0 });
+  window.loadSVGItems(toItemsJSON(sources));
+  const payload = await window.saveSVG();
+  window.close();
+  return decodeIcons(payload);
+}
+
+/**
+ * The same in a fresh headless Chromium editor (scripts/export-icons.js opens it with the config applied)
+ * @returns {Promise<Array<{filename: string, text: string}>>}
+ */
+async function saveInChromium(sources, config) {
+  const { browser, page } = await openEditor(config);
+  try {
+    const payload = await page.evaluate(json => {
+      window.loadSVGItems(json);
+      return window.saveSVG();
+    }, toItemsJSON(sources));
+    return decodeIcons(payload);
+  } finally {
+    await browser.close();
+  }
+}
+
+function toItemsJSON(sources) {
+  return JSON.stringify(sources.map(s => ({
+    filename: s.filename,
+    base64: Buffer.from(s.text, 'latin1').toString('base64'),
+  })));
+}
+
+function decodeIcons(payload) {
+  return JSON.parse(payload).icons.map(icon => ({
+    filename: icon.filename,
+    text: Buffer.from(icon.base64, 'base64').toString('utf8'),
+  }));
+}
+
+function exportWithoutTracing(sources, config) {
+  return exportSVGs(sources, config, () => {
+    throw new Error('no icon in the fixtures should need tracing');
+  });
+}
+
+test('command line SVG export matches the editor Save in headless Chromium', async t => {
+  try {
+    const { browser } = await openEditor({});
+    await browser.close();
+  } catch (e) {
+    const reason = e.message.split(/\n|\. (?=[A-Z])/)[0];
+    t.skip(`headless Chromium is not available (${reason}); install puppeteer and its browser (npx puppeteer browsers install chrome) to run this check`);
+    return;
+  }
+  const sources = readFixtures();
+  for (const [name, config] of Object.entries(CONFIGS)) {
+    await t.test(name, async () => {
+      const expected = await saveInChromium(sources, config);
+      const { files } = await exportWithoutTracing(sources, config);
+      assert.deepStrictEqual(files, expected);
+    });
+  }
+});
+
+test('command line SVG export matches the editor Save in jsdom', async t => {
+  const sources = readFixtures();
+  for (const [name, config] of Object.entries(CONFIGS)) {
+    await t.test(name, async () => {
+      const expected = await saveInJsdom(sources, config);
+      const { files } = await exportWithoutTracing(sources, config);
+      assert.deepStrictEqual(files, expected);
+    });
+  }
+});
@@ -0,0 +1,208 @@
+/**
+ * FileMaker compatibility regression suite: every fixture in test/fixtures run through
+ * processSVGString() with each processing option set, compared with its golden output in
+ * test/golden/<fixture>.<option set>.svg. svg-core.js runs on a jsdom window here.
+ *
+ * After an intended output change, regenerate the goldens and review their diff:
+ *   UPDATE_GOLDEN=1 npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+// The core bound to a window of our own, so fixtures parse in the same DOM it works on
+const { window } = new JSDOM('');
+const core = require('../svg-core.js').create(window);
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const GOLDEN = path.join(__dirname, 'golden');
+const UPDATE = process.env.UPDATE_GOLDEN === '1';
+
+// processSVGString() options per golden, on top of PROCESS_DEFAULTS (FileMaker mode)
+const OPTION_SETS = {
+  fm: {},
+  plain: { fmCompatible: false, fillColor: '#ff6347' },
+  'static-fill': { fmDynamicFill: false, fillColor: '#336699' },
+  transformed: { rotation: 90, flipH: true, scale: 80, offsetX: 5 },
+  flatten: { gradientMode: 'flatten' },
+  shapes: { shapesToPaths: true },
+  baked: { bakeTransforms: true, shapesToPaths: true, rotation: 90, flipH: true, scale: 80, offsetX: 5 },
+  optimize: { optimize: true, optimizePrecision: 2 },
+  background: { bgEnabled: true, bgEdges: 0, bgColor: '#1e3a8a', fillColor: '#ffffff', iconPadding: 20 },
+};
+
+// Numbers are compared to this tolerance, so float noise such as 13.700000000000001 neither
+// fails a run nor gets pinned in a golden
+const TOLERANCE = 1e-6;
+const NUMBER = /-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi;
+
+const fixtures = fs.readdirSync(FIXTURES).filter(f => f.endsWith('.svg')).sort();
+
+// The pipeline reports its steps on the console; keep the test output to the results
+function quietly(fn) {
+  const { log, warn } = console;
+  console.log = console.warn = () => {};
+  try {
+    return fn();
+  } finally {
+    Object.assign(console, { log, warn });
+  }
+}
+
+/**
+ * Check markup against a golden: the text between numbers must match exactly,
+ * the numbers to within TOLERANCE
+ */
+function assertMatchesGolden(actual, expected, message) {
+  assert.deepStrictEqual(actual.split(NUMBER), expected.split(NUMBER), message);
+  const actualNumbers = actual.match(NUMBER) || [];
+  const expectedNumbers = expected.match(NUMBER) || [];
+  assert.strictEqual(actualNumbers.length, expectedNumbers.length, message);
+  actualNumbers.forEach((n, i) => {
+    assert.ok(Math.abs(Number(n) - Number(expectedNumbers[i])) <= TOLERANCE,
+      `${message}: ${n} differs from ${expectedNumbers[i]}`);
+  });
+}
+
+// Goldens keep at most 6 decimals
+function roundNumbers(markup) {
+  return markup.replace(/-?\d+\.\d{7,}/g, n => String(Number(Number(n).toFixed(6))));
+}
+
+function parse(markup) {
+  return new window.DOMParser().parseFromString(markup, 'image/svg+xml').documentElement;
+}
+
+for (const fixture of fixtures) {
+  const source = fs.readFileSync(path.join(FIXTURES, fixture), 'utf8');
+  for (const [name, options] of Object.entries(OPTION_SETS)) {
+    test(`${fixture} (${name}) matches its golden output`, () => {
+      const output = quietly(() => core.processSVGString(source, options)) + '\n';
+      const goldenPath = path.join(GOLDEN, `${path.basename(fixture, '.svg')}.${name}.svg`);
+      if (UPDATE) {
+        fs.mkdirSync(GOLDEN, { recursive: true });
+        fs.writeFileSync(goldenPath, roundNumbers(output), 'utf8');
+        return;
+      }
+      assert.ok(fs.existsSync(goldenPath), `No golden output for ${fixture} (${name}): run UPDATE_GOLDEN=1 npm test`);
+      assertMatchesGolden(output, fs.readFileSync(goldenPath, 'utf8'), `${fixture} (${name})`);
+    });
+  }
+}
+
+test('normalizePath expands compact arc flags', () => {
+  assert.strictEqual(core.normalizePath('M2 12a10 10 0 110 20'), 'M2 12 A10 10 0 1 1 2 32');
+  assert.strictEqual(core.normalizePath('M0 0a5 5 0 01.5.5'), 'M0 0 A5 5 0 0 1 0.5 0.5');
+  assert.strictEqual(core.normalizePath('M0 0a5 5 30 1010 0'), 'M0 0 A5 5 30 1 0 10 0');
+});
+
+test('normalizePath makes every command absolute', () => {
+  const normalized = core.normalizePath('m1 1h4v4h-4zm6 0l2 2c1 0 1 1 1 2s-1 1-1 1q1 1 2 2t1 1');
+  assert.doesNotMatch(normalized, /[a-z]/);
+});
+
+test('arcToCubics splits a half circle into quarter arcs on the circle', () => {
+  const cubics = core.arcToCubics(0, 0, 5, 5, 0, 0, 1, 10, 0);
+  assert.strictEqual(cubics.length, 2);
+  // The quarter point sits on the circle, and each handle is 5 · 4/3 · tan(22.5°) long
+  const handle = 5 * 4 / 3 * Math.tan(Math.PI / 8);
+  const [first, second] = cubics;
+  [0, -handle, 5 - handle, -5, 5, -5].forEach((v, i) => assert.ok(Math.abs(first[i] - v) < 1e-9, `first[${i}]`));
+  assert.deepStrictEqual(second.slice(4), [10, 0]);
+  assert.deepStrictEqual(core.arcToCubics(0, 0, 0, 5, 0, 0, 1, 10, 0), [[0, 0, 10, 0, 10, 0]]);
+  assert.deepStrictEqual(core.arcToCubics(3, 3, 5, 5, 0, 0, 1, 3, 3), []);
+});
+
+test('resolveStyleRules inlines class rules and strips <style>', () => {
+  const svg = parse(`<svg xmlns="http://www.w3.org/2000/svg">
+    <style>.a { fill: blue } .b { stroke: red; stroke-width: 2 }</style>
+    <rect class="a" width="1" height="1"/>
+    <path class="b" d="M0 0 L1 1"/>
+  </svg>`);
+  core.resolveStyleRules(svg);
+  assert.strictEqual(svg.querySelector('rect').getAttribute('fill'), 'blue');
+  assert.strictEqual(svg.querySelector('path').getAttribute('stroke'), 'red');
+  assert.strictEqual(svg.querySelector('style'), null);
+});
+
+test('resolveStyleRules applies the cascade', () => {
+  const svg = parse(`<svg xmlns="http://www.w3.org/2000/svg">
+    <style>
+      .a, .b:hover { fill: red }
+      rect.a { fill: blue }
+      #one { fill: green }
+      .b { fill: black !important }
+      @media (max-width: 1px) { .c { fill: yellow } }
+      .c { fill: orange }
+    </style>
+    <rect id="one" class="a" width="1" height="1"/>
+    <rect class="a" width="1" height="1"/>
+    <rect class="b" style="fill: white" width="1" height="1"/>
+    <rect class="c" width="1" height="1"/>
+  </svg>`);
+  core.resolveStyleRules(svg);
+  const fills = [...svg.querySelectorAll('rect')].map(r => r.getAttribute('fill') || r.style.fill);
+  assert.deepStrictEqual(fills, ['green', 'blue', 'black', 'orange']);
+});
+
+test('resolveStyleRules orders cascade layers, with unlayered rules last', () => {
+  const svg = parse(`<svg xmlns="http://www.w3.org/2000/svg">
+    <style>
+      @layer base, theme;
+      .a { fill: red }
+      @layer theme { .a, .b, .c { fill: blue } .c { stroke: blue !important } }
+      @layer base { #one.a { fill: green } .b { fill: green !important } .c { stroke: green !important } }
+      @layer theme { @layer inner { .d { fill: purple } } .d { stroke: teal } .d.d { stroke: gray } }
+      @layer theme.inner { .d { stroke: black } }
+    </style>
+    <rect id="one" class="a" width="1" height="1"/>
+    <rect class="b" width="1" height="1"/>
+    <rect class="c" width="1" height="1"/>
+    <rect class="d" width="1" height="1"/>
+  </svg>`);
+  core.resolveStyleRules(svg);
+  const paint = [...svg.querySelectorAll('rect')].map(r => [r.getAttribute('fill'), r.getAttribute('stroke')]);
+  assert.deepStrictEqual(paint, [
+    ['red', null],      // unlayered beats a more specific layered rule
+    ['green', null],    // !important in an earlier layer beats a later layer
+    ['blue', 'green'],
+    ['purple', 'gray'], // a layer's own rules beat its sublayers
+  ]);
+});
+
+test('resolveStyleRules judges @supports against a fixed feature list', () => {
+  const svg = parse(`<svg xmlns="http://www.w3.org/2000/svg">
+    <style>
+      @supports (fill: red) and (not (fill: color-mix(in srgb, red, blue))) { .a { fill: green } }
+      @supports (fill: oklch(70% 0.1 200)) or (display: nope-not-a-property(1)) { .a { fill: red } }
+      @supports (zoom: 2) { .a { stroke: red } }
+      @supports selector(:is(.x)) or (--custom: 1) { .b { fill: blue } }
+      @supports selector(:has(.x)) { .b { fill: red } }
+    </style>
+    <rect class="a" width="1" height="1"/>
+    <rect class="b" width="1" height="1"/>
+  </svg>`);
+  core.resolveStyleRules(svg);
+  const [a, b] = svg.querySelectorAll('rect');
+  assert.strictEqual(a.getAttribute('fill'), 'green');
+  assert.strictEqual(a.getAttribute('stroke'), null);
+  assert.strictEqual(b.getAttribute('fill'), 'blue');
+});
+
+test('convertEvenOddToNonZero alternates winding for nested subpaths', () => {
+  const svg = parse(`<svg xmlns="http://www.w3.org/2000/svg">
+    <path fill-rule="evenodd" d="M0 0 L10 0 L10 10 L0 10 Z M2 2 L8 2 L8 8 L2 8 Z M4 4 L6 4 L6 6 L4 6 Z"/>
+  </svg>`);
+  core.convertEvenOddToNonZero(svg);
+  const pathEl = svg.querySelector('path');
+  assert.notStrictEqual(pathEl.getAttribute('fill-rule'), 'evenodd');
+  assert.strictEqual(pathEl.getAttribute('d'), 'M0 0 L10 0 L10 10 L0 10 Z M2 8 L8 8 L8 2 L2 2 Z M4 4 L6 4 L6 6 L4 6 Z');
+});
+
+test('processSVGForFileMaker adds a viewBox from width and height', () => {
+  const output = quietly(() => core.processSVGString(fs.readFileSync(path.join(FIXTURES, 'no-viewbox.svg'), 'utf8')));
+  assert.match(output, /viewBox="0 0 48 48"/);
+});
@@ -0,0 +1,159 @@
+/**
+ * Geometric stroke outlining (outlineStrokeToFill) and the boolean boundary tracer under it
+ * (traceRegionBoundary): caps, joins, miter limits, self-crossing and zero-length subpaths,
+ * and the strokes the outliner leaves to Potrace.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const core = require('../svg-core.js');
+
+const TOLERANCE = 0.01;
+
+// The pipeline reports failures on the console; keep the test output to the results
+function quietly(fn) {
+  const { log, warn, error } = console;
+  console.log = console.warn = console.error = () => {};
+  try {
+    return fn();
+  } finally {
+    Object.assign(console, { log, warn, error });
+  }
+}
+
+/**
+ * Outline one stroked path in a 24×24 icon
+ * @returns {{d: string, rings: Array, area: number, bounds: Object}|string} - The outline flattened
+ *   into rings, or the error
+ */
+function outline(d, attrs = {}) {
+  const attributes = Object.entries({ fill: 'none', stroke: '#000', 'stroke-width': 4, ...attrs })
+    .map(([name, value]) => `${name}="${value}"`).join(' ');
+  const result = quietly(() => core.outlineStrokeToFill(
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="${d}" ${attributes}/></svg>`));
+  if (!result.success) return result.error;
+  const pathData = result.svg.match(/ d="([^"]+)"/)[1];
+  const rings = core.flattenPathData(pathData, 0.001).map(subpath => subpath.points);
+  const points = [].concat(...rings);
+  const xs = points.map(p => p.x), ys = points.map(p => p.y);
+  return {
+    d: pathData,
+    rings,
+    area: Math.abs(rings.reduce((sum, ring) => sum + core.loopArea(ring), 0)),
+    bounds: { x: Math.min(...xs), y: Math.min(...ys), width: Math.max(...xs) - Math.min(...xs) },
+  };
+}
+
+function windingNumber(rings, x, y) {
+  let wn = 0;
+  rings.forEach(ring => ring.forEach((a, i) => {
+    const b = ring[(i + 1) % ring.length];
+    const side = (b.x - a.x) * (y - a.y) - (x - a.x) * (b.y - a.y);
+    if (a.y <= y && b.y > y && side > 0) wn++;
+    else if (a.y > y && b.y <= y && side < 0) wn--;
+  }));
+  return wn;
+}
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) <= TOLERANCE, `${message}: ${actual} is not ${expected}`);
+}
+
+function square(x, y, size) {
+  return [{ x, y }, { x: x + size, y }, { x: x + size, y: y + size }, { x, y: y + size }];
+}
+
+test('butt caps end flush with the path', () => {
+  const { area, bounds } = outline('M2 12 H22');
+  assertClose(area, 80, 'area');
+  assertClose(bounds.x, 2, 'left edge');
+  assertClose(bounds.width, 20, 'width');
+});
+
+test('square caps extend by half the stroke width', () => {
+  const { area, bounds } = outline('M2 12 H22', { 'stroke-linecap': 'square' });
+  assertClose(area, 96, 'area');
+  assertClose(bounds.x, 0, 'left edge');
+  assertClose(bounds.width, 24, 'width');
+});
+
+test('round caps add a half disc at each end', () => {
+  const { area } = outline('M2 12 H22', { 'stroke-linecap': 'round' });
+  assertClose(area, 80 + Math.PI * 4, 'area');
+});
+
+test('miter, round and bevel joins reach as far as their geometry', () => {
+  // The corner at (12, 4) has a half angle of atan(1/2), so the miter tip is 2/sin of that above it
+  const corner = 'M4 20 L12 4 L20 20';
+  const miter = outline(corner);
+  const round = outline(corner, { 'stroke-linejoin': 'round' });
+  const bevel = outline(corner, { 'stroke-linejoin': 'bevel' });
+  assertClose(miter.bounds.y, 4 - 2 * Math.sqrt(5), 'miter tip');
+  assertClose(round.bounds.y, 2, 'round join top');
+  assertClose(bevel.bounds.y, 4 - 2 / Math.sqrt(5), 'bevel top');
+  assert.ok(miter.area > round.area && round.area > bevel.area);
+});
+
+test('a miter longer than stroke-miterlimit falls back to a bevel', () => {
+  const corner = 'M4 20 L12 4 L20 20';
+  // The miter ratio here is sqrt(5), about 2.24
+  const limited = outline(corner, { 'stroke-miterlimit': 2 });
+  const bevel = outline(corner, { 'stroke-linejoin': 'bevel' });
+  assertClose(limited.area, bevel.area, 'area');
+  assertClose(limited.bounds.y, bevel.bounds.y, 'top');
+  const kept = outline(corner, { 'stroke-miterlimit': 3 });
+  assertClose(kept.bounds.y, 4 - 2 * Math.sqrt(5), 'miter tip under a higher limit');
+});
+
+test('a self-crossing path is outlined once where it overlaps itself', () => {
+  const { rings } = outline('M4 4 L20 20 L20 4 L4 20', { 'stroke-width': 2 });
+  assert.strictEqual(Math.abs(windingNumber(rings, 12, 12)), 1, 'crossing point filled once');
+  assert.strictEqual(windingNumber(rings, 17, 12), 0, 'enclosed triangle left open');
+  assert.strictEqual(windingNumber(rings, 1, 12), 0, 'outside');
+});
+
+test('zero-length subpaths draw their caps', () => {
+  assertClose(outline('M12 12 L12 12', { 'stroke-linecap': 'round' }).area, Math.PI * 4, 'round dot');
+  assertClose(outline('M12 12 Z', { 'stroke-linecap': 'square' }).area, 16, 'square dot');
+  assert.strictEqual(outline('M12 12 L12 12'), 'Nothing to outline', 'butt caps draw nothing');
+  // Next to a line, the dot is kept as its own ring
+  const { rings } = outline('M12 18 L12 18 M2 4 H22', { 'stroke-linecap': 'round' });
+  assert.strictEqual(rings.length, 2);
+});
+
+test('dashed strokes are left to Potrace', () => {
+  assert.strictEqual(outline('M2 12 H22', { 'stroke-dasharray': '2 2' }), 'Dashed strokes can\'t be outlined');
+  assertClose(outline('M2 12 H22', { 'stroke-dasharray': 'none' }).area, 80, 'stroke-dasharray none');
+});
+
+test('traceRegionBoundary combines regions with any boolean operation', () => {
+  const regions = [
+    { rings: [square(0, 0, 2)], rule: 'nonzero' },
+    { rings: [square(1, 1, 2)], rule: 'nonzero' },
+  ];
+  const area = combine => Math.abs(core.traceRegionBoundary(regions, combine, 3)
+    .reduce((sum, loop) => sum + core.loopArea(loop), 0));
+  assertClose(area(inside => inside(0) || inside(1)), 7, 'union');
+  assertClose(area(inside => inside(0) && inside(1)), 1, 'intersection');
+  assertClose(area(inside => inside(0) && !inside(1)), 3, 'difference');
+  assertClose(area(inside => inside(0) !== inside(1)), 6, 'exclusion');
+});
+
+test('traceRegionBoundary merges regions that share an edge into one loop', () => {
+  const regions = [
+    { rings: [square(0, 0, 2)], rule: 'nonzero' },
+    { rings: [square(2, 0, 2)], rule: 'nonzero' },
+  ];
+  const loops = core.traceRegionBoundary(regions, inside => inside(0) || inside(1), 4)
+    .map(loop => core.simplifyLoop(loop, 1e-6));
+  assert.strictEqual(loops.length, 1);
+  assertClose(Math.abs(core.loopArea(loops[0])), 8, 'area');
+});
+
+test('traceRegionBoundary honors each region\'s fill rule', () => {
+  const rings = [square(0, 0, 4), square(1, 1, 2)];
+  const area = rule => Math.abs(core.traceRegionBoundary([{ rings, rule }], inside => inside(0), 4)
+    .reduce((sum, loop) => sum + core.loopArea(loop), 0));
+  assertClose(area('evenodd'), 12, 'evenodd leaves the inner square open');
+  assertClose(area('nonzero'), 16, 'nonzero fills it');
+});